@@ -6,7 +6,28 @@
 // Global state for real-time updates
 window.currentGene = null;
 window.currentPrimers = null;
+window.currentDimers = [];  // Self/cross dimers of the last analysis (for export)
+window.editHistory = createEditHistory();  // Undo/redo of boundary edits (history.js)
 window.exonJunctions = [];
+window.currentRecord = null;  // Parsed FASTA/GenBank record the gene came from
+window.siteSelections = {};  // Primer name -> binding site key picked by the user
+window.activeSetIndex = 0;  // Candidate set shown in full when several are entered
+window.setComparison = [];  // Per-set summaries for the comparison view (compare.js)
+window.inclusivityResult = null;  // Primers × variants matrix of the last check (inclusivity.js)
+window.backgroundRecords = [];  // Loaded background FASTA records for off-target screening
+window.backgroundIndex = null;  // K-mer index of backgroundRecords (exclusivity.js)
+window.exclusivityResult = null;  // Ranked off-target report of the last screen
+
+// Analysis settings (hairpinMode: "exact" or "thermo",
+// dimerMode: "alignment" or "exact", maxMismatches: weighted
+// mismatches allowed when locating primers on the template,
+// circular: template is a plasmid, searches wrap around the origin)
+window.analysisSettings = {
+  hairpinMode: "exact",
+  dimerMode: "alignment",
+  maxMismatches: 0,
+  circular: false
+};
 
 // Character counter for gene sequence (runs immediately since script is at bottom)
 const geneSeqInput = document.getElementById("gene-sequence");
@@ -28,34 +49,247 @@ if (geneSeqInput && charCountDisplay) {
 
 document.getElementById("analyze-btn").addEventListener("click", runAnalysis);
 
+const designBtn = document.getElementById("design-btn");
+if (designBtn) designBtn.addEventListener("click", runDesign);
+
+// Variant inclusivity: paste or upload a multi-FASTA panel
+const inclusivityBtn = document.getElementById("inclusivity-btn");
+if (inclusivityBtn) inclusivityBtn.addEventListener("click", runInclusivity);
+
+const variantFileInput = document.getElementById("variant-file");
+if (variantFileInput) {
+  variantFileInput.addEventListener("change", () => {
+    if (variantFileInput.files.length > 0) loadVariantFile(variantFileInput.files[0]);
+    variantFileInput.value = ""; // Allow re-selecting the same file
+  });
+}
+
+// Off-target screening: background FASTA files are read locally
+const exclusivityBtn = document.getElementById("exclusivity-btn");
+if (exclusivityBtn) exclusivityBtn.addEventListener("click", runExclusivity);
+
+const clearBackgroundBtn = document.getElementById("clear-background-btn");
+if (clearBackgroundBtn) clearBackgroundBtn.addEventListener("click", clearBackground);
+
+const backgroundFileInput = document.getElementById("background-file");
+if (backgroundFileInput) {
+  backgroundFileInput.addEventListener("change", () => {
+    if (backgroundFileInput.files.length > 0) loadBackgroundFiles(Array.from(backgroundFileInput.files));
+    backgroundFileInput.value = ""; // Allow re-selecting the same files
+  });
+}
+
+// Export buttons: data-export names the format
+document.querySelectorAll(".export-btn").forEach(btn => {
+  btn.addEventListener("click", () => exportAnalysis(btn.dataset.export));
+});
+
+// Undo/redo of boundary edits: buttons and Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y.
+// Text fields keep their own undo
+const undoBtn = document.getElementById("undo-btn");
+if (undoBtn) undoBtn.addEventListener("click", undoEdit);
+const redoBtn = document.getElementById("redo-btn");
+if (redoBtn) redoBtn.addEventListener("click", redoEdit);
+
+document.addEventListener("keydown", (e) => {
+  if (!(e.ctrlKey || e.metaKey)) return;
+  const tag = e.target.tagName;
+  if (tag === "TEXTAREA" || (tag === "INPUT" && e.target.type === "text")) return;
+  
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undoEdit();
+  } else if ((key === "z" && e.shiftKey) || key === "y") {
+    e.preventDefault();
+    redoEdit();
+  }
+});
+
+// Project save / open
+const saveProjectBtn = document.getElementById("save-project-btn");
+if (saveProjectBtn) saveProjectBtn.addEventListener("click", saveProjectFile);
+
+const projectFileInput = document.getElementById("project-file");
+if (projectFileInput) {
+  projectFileInput.addEventListener("change", () => {
+    if (projectFileInput.files.length > 0) openProjectFile(projectFileInput.files[0]);
+    projectFileInput.value = ""; // Allow re-opening the same file
+  });
+}
+
+const shareBtn = document.getElementById("share-btn");
+if (shareBtn) shareBtn.addEventListener("click", shareLink);
+
+// A share link opened in an already-open tab only changes the fragment
+window.addEventListener("hashchange", restoreFromShareLink);
+
+// Sequence figure download (SVG or PNG)
+document.querySelectorAll(".figure-btn").forEach(btn => {
+  btn.addEventListener("click", () => exportFigure(btn.dataset.format));
+});
+
+// Switching records in a multi-record FASTA/GenBank file re-runs analysis
+const recordSelect = document.getElementById("record-select");
+if (recordSelect) {
+  recordSelect.addEventListener("change", () => {
+    if (window.currentGene) runAnalysis();
+  });
+}
+
+// Hairpin/dimer scoring mode selectors - re-run analysis when switched
+const hairpinModeSelect = document.getElementById("hairpin-mode");
+if (hairpinModeSelect) {
+  hairpinModeSelect.addEventListener("change", () => {
+    window.analysisSettings.hairpinMode = hairpinModeSelect.value;
+    if (window.currentGene) runAnalysis();
+  });
+}
+
+const dimerModeSelect = document.getElementById("dimer-mode");
+if (dimerModeSelect) {
+  dimerModeSelect.addEventListener("change", () => {
+    window.analysisSettings.dimerMode = dimerModeSelect.value;
+    if (window.currentGene) runAnalysis();
+  });
+}
+
+const maxMismatchesInput = document.getElementById("max-mismatches");
+if (maxMismatchesInput) {
+  maxMismatchesInput.addEventListener("change", () => {
+    window.analysisSettings.maxMismatches = Math.max(0, parseInt(maxMismatchesInput.value, 10) || 0);
+    if (window.currentGene) runAnalysis();
+  });
+}
+
+const circularModeInput = document.getElementById("circular-mode");
+if (circularModeInput) {
+  circularModeInput.addEventListener("change", () => {
+    window.analysisSettings.circular = circularModeInput.checked;
+    if (window.currentGene) runAnalysis();
+  });
+}
+
+// Step-by-step algorithm logs in the browser console (debug.js), off
+// by default; the choice is remembered in this browser
+const DEBUG_LOGGING_KEY = "lamp-primer-debug-logging";
+const debugLoggingInput = document.getElementById("debug-logging");
+if (debugLoggingInput) {
+  try {
+    setDebugLogging(localStorage.getItem(DEBUG_LOGGING_KEY) === "on");
+  } catch (e) {
+    // Storage disabled: stays off
+  }
+  debugLoggingInput.checked = isDebugLogging();
+  debugLoggingInput.addEventListener("change", () => {
+    setDebugLogging(debugLoggingInput.checked);
+    try {
+      localStorage.setItem(DEBUG_LOGGING_KEY, debugLoggingInput.checked ? "on" : "off");
+    } catch (e) {
+      // Applies to this page only
+    }
+  });
+}
+
 function runAnalysis() {
-  const geneSeq = cleanSequence(
-    document.getElementById("gene-sequence").value
-  );
-  const primers = parsePrimers(
-    document.getElementById("primer-input").value
+  // Gene input may be raw sequence, FASTA or GenBank (see parsers.js);
+  // the record picker is offered for multi-record files
+  const input = prepareLampInput(
+    document.getElementById("gene-sequence").value,
+    document.getElementById("primer-input").value,
+    records => {
+      renderRecordSelector(records);
+      return getSelectedRecordIndex(records);
+    }
   );
+  const record = input.record;
+  const geneSeq = input.gene;
+  renderSequenceReport(input.cleaned);
+  
+  // Several candidate sets ("[Set name]" headers): the active one gets
+  // the full view, every set gets a row in the comparison
+  const primerSets = input.primerSets;
+  window.activeSetIndex = Math.min(window.activeSetIndex, primerSets.length - 1);
 
   if (!geneSeq) {
     alert("Please paste a gene sequence.");
     return;
   }
 
-  // Store in global state for real-time updates
+  // A newly loaded GenBank record brings its own exon junctions,
+  // replacing those of the previous record (manual ones are kept)
+  const recordKey = `${input.format}:${record.name}:${geneSeq.length}`;
+  if (window.currentRecord === null || window.currentRecord.key !== recordKey) {
+    if (window.currentRecord) {
+      window.exonJunctions = window.exonJunctions.filter(
+        pos => !window.currentRecord.junctions.includes(pos)
+      );
+    }
+    record.junctions.forEach(pos => addExonJunction(pos));
+    renderJunctionList();
+    // Site choices refer to positions in the previous template
+    // (none on first load, so a restored project keeps its choices)
+    if (window.currentRecord) window.siteSelections = {};
+    // GenBank LOCUS lines say whether the molecule is circular
+    if (record.topology) {
+      window.analysisSettings.circular = record.topology === "circular";
+      if (circularModeInput) circularModeInput.checked = window.analysisSettings.circular;
+    }
+  }
+  window.currentRecord = { ...record, format: input.format, key: recordKey };
+  renderRecordInfo(window.currentRecord, geneSeq.length);
+
+  // Run analysis pipeline in the analysis worker (the other candidate
+  // sets go through the same one). A newer run cancels this one
+  const job = {
+    type: "analyze",
+    gene: geneSeq,
+    primerSets: primerSets,
+    activeIndex: window.activeSetIndex,
+    settings: window.analysisSettings,
+    siteSelections: window.siteSelections
+  };
+  showAnalysisProgress();
+  const run = runAnalysisJob(job, showAnalysisProgress);
+  renderHistoryPanel();  // Undo/redo and the history rows wait for the result
+  return run.then(analysis => {
+    if (!analysis) {
+      renderHistoryPanel();
+      return;
+    }
+    hideAnalysisProgress();
+    showAnalysisResult(geneSeq, analysis);
+  }, error => {
+    renderHistoryPanel();
+    return showAnalysisError(error);
+  });
+}
+
+// Render a finished analysis (runLampJob "analyze" result) and make
+// it the current state
+function showAnalysisResult(geneSeq, analysis) {
+  // Store in global state for real-time updates. The worker returns
+  // copies of the primer objects, placed and analyzed
+  const primers = analysis.primers;
+  const dimers = analysis.dimers;
   window.currentGene = geneSeq;
   window.currentPrimers = primers;
-
-  // Run analysis pipeline
-  const dimers = attachPrimerPositions(geneSeq, primers);
+  window.currentDimers = dimers;
+  window.setComparison = analysis.setComparison;
+  renderSetComparison(window.setComparison, window.activeSetIndex);
   
-  // Validate all primer lengths and collect warnings
+  // Fresh primer objects: earlier edits can no longer be undone
+  window.editHistory = createEditHistory();
+  renderHistoryPanel();
+  
+  // Validate all primer lengths and compositions and collect warnings
   let allLengthWarnings = [];
   primers.forEach(primer => {
-    const warnings = getPrimerLengthWarnings(primer);
+    const warnings = getPrimerLengthWarnings(primer).concat(getCompositionWarnings(primer));
     allLengthWarnings = allLengthWarnings.concat(warnings);
   });
   
-  // Show combined length warnings if any
+  // Show combined length and composition warnings if any
   if (allLengthWarnings.length > 0) {
     showLengthWarning(allLengthWarnings);
   } else {
@@ -63,38 +297,98 @@ function runAnalysis() {
   }
   
   displaySequence(geneSeq, primers, window.exonJunctions);
+  renderSetTracks(geneSeq, window.setComparison, window.activeSetIndex);
   populatePrimerTable(geneSeq, primers);
+  updateGeometryReport(primers);
   populateDimerTable(dimers);
+  refreshInclusivity();
+  refreshExclusivity();
+  autosaveProject();
+}
+
+/* -----------------------
+   Automatic Primer Set Design
+   Designs on the same cleaned record runAnalysis would use
+------------------------ */
+function runDesign() {
+  const parsed = parseSequenceInput(
+    document.getElementById("gene-sequence").value
+  );
+  const record = parsed.records[getSelectedRecordIndex(parsed.records)];
+  const geneSeq = cleanSequence(record ? record.seq : "");
+  
+  if (!geneSeq) {
+    alert("Please paste a gene sequence.");
+    return;
+  }
+  
+  // Target region is 1-based inclusive in the inputs
+  const targetStart = parseInt(document.getElementById("design-target-start").value, 10);
+  const targetEnd = parseInt(document.getElementById("design-target-end").value, 10);
+  let target = null;
+  if (!isNaN(targetStart) && !isNaN(targetEnd)) {
+    if (targetStart < 1 || targetEnd > geneSeq.length || targetEnd < targetStart) {
+      alert(`Target region must lie within 1-${geneSeq.length}.`);
+      return;
+    }
+    target = { start: targetStart - 1, end: targetEnd };
+  }
+  
+  const sets = designPrimerSets(geneSeq, target, {
+    includeLoops: document.getElementById("design-loops").checked
+  });
+  renderDesignResults(sets);
 }
 
 /* -----------------------
-   Clean Sequence
+   Variant Inclusivity
+   Checks the analyzed primers (after any boundary edits) against every
+   record of the variant panel; variants are cleaned like the gene
 ------------------------ */
-function cleanSequence(seq) {
-  return seq
-    .toUpperCase()
-    .replace(/[^ACGT]/g, "");
+function runInclusivity() {
+  if (!window.currentGene || !window.currentPrimers) {
+    alert("Please run an analysis first: variants are checked against its primers.");
+    return;
+  }
+  
+  const parsed = parseSequenceInput(document.getElementById("variant-input").value);
+  const variants = parsed.records
+    .map((r, idx) => ({ name: r.name || `Variant ${idx + 1}`, seq: cleanSequence(r.seq) }))
+    .filter(v => v.seq);
+  
+  if (variants.length === 0) {
+    alert("Please paste variant sequences (multi-FASTA).");
+    return;
+  }
+  
+  window.inclusivityResult = checkInclusivity(variants, window.currentPrimers, window.analysisSettings.circular);
+  renderInclusivityMatrix(window.inclusivityResult);
 }
 
 /* -----------------------
-   Parse Primers
+   Off-Target Screening
+   Searches the analyzed primers (after any boundary edits) in the
+   loaded background sequences
 ------------------------ */
-function parsePrimers(text) {
-  const lines = text.split("\n");
-  const primers = [];
-
-  for (let line of lines) {
-    if (!line.includes("=")) continue;
-    const [name, seq] = line.split("=");
-
-    primers.push({
-      name: name.trim(),
-      seq: seq.trim().toUpperCase(),
-      start: null,
-      end: null,
-      orientation: null,
-      isInner: false,
-    });
+function runExclusivity() {
+  if (!window.currentGene || !window.currentPrimers) {
+    alert("Please run an analysis first: its primers are screened against the background.");
+    return;
+  }
+  if (!window.backgroundIndex) {
+    alert("Please add background FASTA files first.");
+    return;
   }
-  return primers;
+  
+  window.exclusivityResult = screenExclusivity(window.backgroundIndex, window.currentPrimers);
+  renderExclusivityReport(window.exclusivityResult);
 }
+
+/* -----------------------
+   Restore on Page Load
+   A share link in the URL wins over the autosaved project.
+   Last, once every listener above is attached
+------------------------ */
+restoreFromShareLink().then(restored => {
+  if (!restored) restoreAutosave();
+});
@@ -0,0 +1,39 @@
+/* ================================================================
+   COMPARE.JS - Candidate Primer Set Comparison
+   Contains: per-set run of the analysis pipeline and the summary
+             shown in the comparison view
+   No DOM access (table in ui.js, stacked tracks in sequence.js)
+   ================================================================ */
+
+/* -----------------------
+   Set Summary
+   { name, primers, dimers, placed, total, hairpinCount,
+     dimerCount, strongDimerCount, lengthWarnings, overlaps,
+     geometryFailures }
+   dimerCount counts extendable dimers only (the ones that can prime);
+   strong ones are at or below DIMER_DG_SEVERITY_THRESHOLDS.strong
+------------------------ */
+function summarizePrimerSet(name, primers, dimers, geneLength, circular = false) {
+  const extendable = dimers.filter(d => d.threePrimeExtendable);
+  const circularLength = circular ? geneLength : 0;
+
+  return {
+    name: name,
+    primers: primers,
+    dimers: dimers,
+    placed: primers.filter(p => primerRanges(p).length > 0).length,
+    total: primers.length,
+    hairpinCount: primers.filter(p => p.hasHairpin).length,
+    dimerCount: extendable.length,
+    strongDimerCount: extendable.filter(d => d.dG <= DIMER_DG_SEVERITY_THRESHOLDS.strong).length,
+    lengthWarnings: primers.flatMap(p => getPrimerLengthWarnings(p)),
+    overlaps: primers.flatMap((p, idx) => findPrimerOverlaps(primers, idx, circularLength, true)),
+    geometryFailures: validateLampGeometry(primers, geneLength, circular).checks.filter(c => !c.ok)
+  };
+}
+
+// Run the full pipeline on one set ({ name, primers }) and summarize it
+function analyzePrimerSet(gene, set, settings = {}) {
+  const dimers = attachPrimerPositions(gene, set.primers, settings);
+  return summarizePrimerSet(set.name, set.primers, dimers, gene.length, !!settings.circular);
+}
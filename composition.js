@@ -0,0 +1,187 @@
+/* ================================================================
+   COMPOSITION.JS - Sequence Composition Checks
+   Contains: GC content, end stability (ΔG of the last five bases),
+             mononucleotide runs, dinucleotide repeats, GC clamp
+   Works on primer sequences only, no DOM access
+   ================================================================ */
+
+/* -----------------------
+   Composition Rules
+   Each check ends as "pass", "warn" or "fail":
+   - GC content: 40-60% pass, 35-65% warn
+   - End stability: ΔG of the five terminal bases at the priming end,
+     ≤ -4 kcal/mol pass (PrimerExplorer), ≤ -3 warn
+   - Runs: four identical bases warn, five or more fail
+   - Dinucleotide repeats: four repeats (e.g. ATATATAT) warn, five or
+     more fail
+   - GC clamp: 1-3 G/C in the last five 3' bases pass, otherwise warn
+------------------------ */
+const COMPOSITION_RULES = {
+  gc: { passMin: 40, passMax: 60, warnMin: 35, warnMax: 65 },
+  endStability: { window: 5, pass: -4, warn: -3 },
+  runs: { warn: 4, fail: 5 },
+  repeats: { warn: 4, fail: 5 },
+  gcClamp: { window: 5, min: 1, max: 3 }
+};
+
+// Status order, worst last
+const COMPOSITION_STATUS = ["pass", "warn", "fail"];
+
+function gcPercent(seq) {
+  return (seq.match(/[GC]/g) || []).length / seq.length * 100;
+}
+
+function worstStatus(statuses) {
+  return statuses.reduce((worst, s) =>
+    COMPOSITION_STATUS.indexOf(s) > COMPOSITION_STATUS.indexOf(worst) ? s : worst, "pass");
+}
+
+// F1c/B1c: the 5' end is the one that primes once the dumbbell forms
+// (its complement F1/B1 is extended), and there is no 3' clamp to check
+function isOneCRegion(type) {
+  return /1C$/i.test(type || "");
+}
+
+// ΔG37 of the nearest-neighbor stacks in a short end window (no
+// initiation or salt terms, as end stability is usually quoted).
+// null when the window holds non-ACGT bases
+function endStabilityDeltaG(seq) {
+  let dG = 0;
+  for (let i = 0; i < seq.length - 1; i++) {
+    const params = NN_PARAMS[seq.slice(i, i + 2)];
+    if (!params) return null;
+    dG += params.dH - (310.15 * params.dS) / 1000;
+  }
+  return dG;
+}
+
+// Longest run of one base: { base, length, offset }
+function longestRun(seq) {
+  let best = { base: "", length: 0, offset: -1 };
+  const runPattern = /([ACGT])\1*/g;
+  let m;
+  while ((m = runPattern.exec(seq)) !== null) {
+    if (m[0].length > best.length) best = { base: m[1], length: m[0].length, offset: m.index };
+  }
+  return best;
+}
+
+// Longest tandem dinucleotide repeat (AA-type pairs are runs): { unit, repeats, offset }
+function longestDinucleotideRepeat(seq) {
+  let best = { unit: "", repeats: 0, offset: -1 };
+  for (let i = 0; i < seq.length - 1; i++) {
+    const unit = seq.slice(i, i + 2);
+    if (unit[0] === unit[1] || !/^[ACGT]{2}$/.test(unit)) continue;
+    let repeats = 1;
+    while (seq.slice(i + repeats * 2, i + repeats * 2 + 2) === unit) repeats++;
+    if (repeats > best.repeats) best = { unit, repeats, offset: i };
+  }
+  return best;
+}
+
+/* -----------------------
+   Analyze One Oligo
+   type is the region name (F3, F2, F1c, ..., LF) and decides which
+   end is checked for stability and whether the GC clamp applies.
+   Returns { type, checks: [{ id, label, value, status, message }], status }
+------------------------ */
+function analyzeComposition(seq, type) {
+  seq = seq.toUpperCase();
+  const rules = COMPOSITION_RULES;
+  const oneC = isOneCRegion(type);
+  const checks = [];
+
+  // GC content
+  const gc = gcPercent(seq);
+  const gcStatus = (gc >= rules.gc.passMin && gc <= rules.gc.passMax) ? "pass"
+    : (gc >= rules.gc.warnMin && gc <= rules.gc.warnMax) ? "warn" : "fail";
+  checks.push({
+    id: "gc",
+    label: `GC ${gc.toFixed(0)}%`,
+    value: gc,
+    status: gcStatus,
+    message: gcStatus === "pass" ? "" : `GC content ${gc.toFixed(1)}% is outside ${rules.gc.passMin}-${rules.gc.passMax}%`
+  });
+
+  // End stability (non-ACGT ends cannot be scored)
+  const endName = oneC ? "5′" : "3′";
+  const endSeq = oneC ? seq.slice(0, rules.endStability.window) : seq.slice(-rules.endStability.window);
+  const dG = endStabilityDeltaG(endSeq);
+  if (dG !== null) {
+    const status = dG <= rules.endStability.pass ? "pass" : dG <= rules.endStability.warn ? "warn" : "fail";
+    checks.push({
+      id: "endStability",
+      label: `${endName} ΔG ${dG.toFixed(1)}`,
+      value: dG,
+      status: status,
+      message: status === "pass" ? "" : `${endName} end ΔG ${dG.toFixed(1)} kcal/mol is weaker than ${rules.endStability.pass}`
+    });
+  }
+
+  // Mononucleotide runs
+  const run = longestRun(seq);
+  const runStatus = run.length >= rules.runs.fail ? "fail" : run.length >= rules.runs.warn ? "warn" : "pass";
+  checks.push({
+    id: "runs",
+    label: run.length >= rules.runs.warn ? `Run ${run.base}×${run.length}` : "No runs",
+    value: run.length,
+    status: runStatus,
+    message: runStatus === "pass" ? "" : `run of ${run.length} ${run.base} at position ${run.offset + 1}`
+  });
+
+  // Dinucleotide repeats
+  const repeat = longestDinucleotideRepeat(seq);
+  const repeatStatus = repeat.repeats >= rules.repeats.fail ? "fail" : repeat.repeats >= rules.repeats.warn ? "warn" : "pass";
+  checks.push({
+    id: "repeats",
+    label: repeat.repeats >= rules.repeats.warn ? `Repeat (${repeat.unit})×${repeat.repeats}` : "No repeats",
+    value: repeat.repeats,
+    status: repeatStatus,
+    message: repeatStatus === "pass" ? "" : `${repeat.unit} repeated ${repeat.repeats}× at position ${repeat.offset + 1}`
+  });
+
+  // GC clamp at the 3' end
+  if (!oneC) {
+    const clamp = (seq.slice(-rules.gcClamp.window).match(/[GC]/g) || []).length;
+    const clampStatus = (clamp >= rules.gcClamp.min && clamp <= rules.gcClamp.max) ? "pass" : "warn";
+    checks.push({
+      id: "gcClamp",
+      label: `Clamp ${clamp}/${rules.gcClamp.window}`,
+      value: clamp,
+      status: clampStatus,
+      message: clampStatus === "pass" ? ""
+        : clamp < rules.gcClamp.min ? `no G/C in the last ${rules.gcClamp.window} 3′ bases`
+        : `${clamp} G/C in the last ${rules.gcClamp.window} 3′ bases (max ${rules.gcClamp.max})`
+    });
+  }
+
+  return { type, checks, status: worstStatus(checks.map(c => c.status)) };
+}
+
+/* -----------------------
+   Attach Composition to a Primer Object
+   p.composition is a list of analyses: one for a regular primer,
+   one per part (F1c/F2 or B1c/B2) for a split FIP/BIP
+------------------------ */
+function updatePrimerComposition(primer) {
+  if (primer.isInner && primer.left && primer.right) {
+    primer.composition = [
+      analyzeComposition(primer.left, primer.leftType),
+      analyzeComposition(primer.right, primer.rightType)
+    ];
+  } else {
+    primer.composition = primer.seq ? [analyzeComposition(primer.seq, primer.name)] : [];
+  }
+}
+
+// "F3: GC content 30.0% is outside 40-60%" for every warn/fail check
+function getCompositionWarnings(primer) {
+  const warnings = [];
+  (primer.composition || []).forEach(part => {
+    const prefix = primer.isInner ? `${primer.name} ${part.type}` : primer.name;
+    part.checks.filter(c => c.status !== "pass").forEach(c => {
+      warnings.push(`${prefix}: ${c.message}${c.status === "fail" ? " (fail)" : ""}`);
+    });
+  });
+  return warnings;
+}
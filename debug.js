@@ -0,0 +1,22 @@
+/* ================================================================
+   DEBUG.JS - Debug Logging Switch
+   Contains: the on/off switch and debugLog, which the algorithm files
+             use for their step-by-step logs
+   Off by default: the logs run to many lines per primer and slow down
+   large analyses. No DOM access (checkbox in index.html, app.js)
+   ================================================================ */
+
+let debugLogging = false;
+
+function setDebugLogging(enabled) {
+  debugLogging = !!enabled;
+}
+
+function isDebugLogging() {
+  return debugLogging;
+}
+
+// console.log when debug logging is on
+function debugLog(...args) {
+  if (debugLogging) console.log(...args);
+}
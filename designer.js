@@ -0,0 +1,407 @@
+/* ================================================================
+   DESIGNER.JS - Automatic LAMP Primer Set Design
+   Contains: candidate oligo enumeration, set assembly, set scoring
+   Enumerates F3/F2/F1c/B1c/B2/B3 (+ optional LF/LB) sets on the
+   template and filters them with the same checks used for analysis:
+   PRIMER_LENGTH_RANGES and rangesOverlap (ui.js), hairpin scoring and
+   dimer alignment (hairpin.js), LAMP_DISTANCE_RULES (geometry.js)
+   ================================================================ */
+
+/* -----------------------
+   Design Settings
+   Tm windows are for the LAMP buffer in TM_CONDITIONS (thermo.js);
+   F1c/B1c and loop primers are designed ~5°C above F2/B2/F3/B3
+------------------------ */
+const DESIGN_DEFAULTS = {
+  includeLoops: false,
+  maxSets: 10,
+  minGC: 35,
+  maxGC: 65,
+  maxHairpinDG: -2,     // Reject oligos/FIP/BIP with a more stable end hairpin
+  maxDimerDG: -9,       // Reject sets with an extendable dimer below this
+  shortlistSize: 40,    // Sets given the full hairpin/dimer check
+  branchWidth: 4        // Best F1c/B1c candidates tried per distance window
+};
+
+const DESIGN_TM_RANGES = {
+  F3: { min: 60, max: 66, target: 63 },
+  B3: { min: 60, max: 66, target: 63 },
+  F2: { min: 60, max: 66, target: 63 },
+  B2: { min: 60, max: 66, target: 63 },
+  F1c: { min: 65, max: 71, target: 68 },
+  B1c: { min: 65, max: 71, target: 68 },
+  LF: { min: 65, max: 71, target: 68 },
+  LB: { min: 65, max: 71, target: 68 }
+};
+
+const MISSING_LOOP_PENALTY = 5;
+
+// Strand each region's oligo is written on: "sense" oligos are the
+// template itself, "antisense" ones its reverse complement
+const DESIGN_REGION_STRAND = {
+  F3: "sense", F2: "sense", LB: "sense", B1c: "sense",
+  F1c: "antisense", LF: "antisense", B2: "antisense", B3: "antisense"
+};
+
+// Length ranges shared with the primer length validation (ui.js)
+const DESIGN_LENGTH_KEYS = { LF: "LoopF", LB: "LoopB" };
+
+// Distance rule from geometry.js by id
+function designRule(id) {
+  return LAMP_DISTANCE_RULES.find(rule => rule.id === id);
+}
+
+/* -----------------------
+   Candidate Oligos
+   Every start/length within the region's length range that passes
+   the Tm and GC windows. Keeps only the best length per start (Tm
+   closest to target) so later enumeration stays small.
+   Candidate: { type, start, end, seq, tm, gc, tmPenalty }
+------------------------ */
+function designCandidates(gene, type, from, to, options = {}) {
+  const opts = { ...DESIGN_DEFAULTS, ...options };
+  const lengths = PRIMER_LENGTH_RANGES[DESIGN_LENGTH_KEYS[type] || type];
+  const tmRange = DESIGN_TM_RANGES[type];
+  const candidates = [];
+
+  for (let start = Math.max(0, from); start < Math.min(to, gene.length); start++) {
+    let best = null;
+    for (let len = lengths.min; len <= lengths.max; len++) {
+      const end = start + len;
+      if (end > gene.length || end > to) break;
+
+      const region = gene.slice(start, end);
+      if (/[^ACGT]/.test(region)) break;
+
+      const seq = DESIGN_REGION_STRAND[type] === "sense" ? region : revcomp(region);
+      const gc = gcPercent(seq);
+      if (gc < opts.minGC || gc > opts.maxGC) continue;
+
+      const tm = calculateTm(seq);
+      if (tm === null || tm < tmRange.min || tm > tmRange.max) continue;
+
+      const tmPenalty = Math.abs(tm - tmRange.target);
+      if (!best || tmPenalty < best.tmPenalty) {
+        best = { type, start, end, seq, tm, gc, tmPenalty };
+      }
+    }
+    if (best) candidates.push(best);
+  }
+
+  return candidates;
+}
+
+// Position lookups for candidates (at most one per start, see above)
+function indexCandidates(candidates) {
+  const byStart = new Map();
+  const byEnd = new Map();
+  candidates.forEach(c => {
+    byStart.set(c.start, c);
+    if (!byEnd.has(c.end)) byEnd.set(c.end, []);
+    byEnd.get(c.end).push(c);
+  });
+  return { all: candidates, byStart, byEnd };
+}
+
+// Candidates starting (or ending) at a position within [lo, hi]
+function startingIn(index, lo, hi) {
+  const found = [];
+  for (let pos = lo; pos <= hi; pos++) {
+    if (index.byStart.has(pos)) found.push(index.byStart.get(pos));
+  }
+  return found;
+}
+
+function endingIn(index, lo, hi) {
+  const found = [];
+  for (let pos = lo; pos <= hi; pos++) {
+    if (index.byEnd.has(pos)) found.push(...index.byEnd.get(pos));
+  }
+  return found;
+}
+
+/* -----------------------
+   Set Assembly
+   Walks F2 → F1c → B1c → B2 inside the LAMP distance windows, then
+   adds the best-fitting F3/B3 (and loops). target (optional,
+   0-indexed { start, end }) must lie inside the F2..B2 amplicon.
+   Returns geometric sets sorted by summed Tm penalty
+------------------------ */
+function assembleDesignSets(gene, target, options = {}) {
+  const opts = { ...DESIGN_DEFAULTS, ...options };
+  const amplicon = designRule("amplicon");
+  const fLoop = designRule("fLoop");
+  const bLoop = designRule("bLoop");
+  const f3Gap = designRule("f3Gap");
+  const b3Gap = designRule("b3Gap");
+  const spacing = designRule("f1cB1c");
+
+  // Limit the search to stretches that could still cover the target
+  const from = target ? Math.max(0, target.end - amplicon.max - 60 - 22) : 0;
+  const to = target ? Math.min(gene.length, target.start + amplicon.max + 60 + 22) : gene.length;
+
+  const byType = {};
+  ["F3", "F2", "F1c", "B1c", "B2", "B3"].concat(opts.includeLoops ? ["LF", "LB"] : [])
+    .forEach(type => { byType[type] = indexCandidates(designCandidates(gene, type, from, to, opts)); });
+  debugLog(`Design candidates: ${Object.entries(byType).map(([t, c]) => `${t}=${c.all.length}`).join(", ")}`);
+
+  const bestOf = list => list.reduce((best, c) => (!best || c.tmPenalty < best.tmPenalty) ? c : best, null);
+  const topOf = list => list.sort((a, b) => a.tmPenalty - b.tmPenalty).slice(0, opts.branchWidth);
+  // Loop primer must sit wholly between two regions
+  const loopBetween = (type, lo, hi) => bestOf(startingIn(byType[type], lo, hi).filter(c => c.end <= hi));
+
+  const sets = [];
+
+  for (const f2 of byType.F2.all) {
+    if (target && f2.start > target.start) break;
+    if (target && f2.start + amplicon.max < target.end) continue;
+
+    const f3 = bestOf(endingIn(byType.F3, f2.start - f3Gap.max, f2.start - f3Gap.min));
+    if (!f3) continue;
+
+    // Only the best few inner candidates per window: every F2 position
+    // still gets its best sets without trying every combination
+    for (const f1c of topOf(startingIn(byType.F1c, f2.start + fLoop.min, f2.start + fLoop.max))) {
+      for (const b1c of topOf(startingIn(byType.B1c, f1c.end + spacing.min, f1c.end + spacing.max))) {
+        // B2 must close both the B loop and the amplicon (and cover the target)
+        const b2Lo = Math.max(b1c.end + bLoop.min, f2.start + amplicon.min, target ? target.end : 0);
+        const b2Hi = Math.min(b1c.end + bLoop.max, f2.start + amplicon.max);
+        const b2 = bestOf(endingIn(byType.B2, b2Lo, b2Hi));
+        if (!b2) continue;
+
+        const b3 = bestOf(startingIn(byType.B3, b2.end + b3Gap.min, b2.end + b3Gap.max));
+        if (!b3) continue;
+
+        const set = { F3: f3, F2: f2, F1c: f1c, B1c: b1c, B2: b2, B3: b3 };
+
+        // Loop primers fill the stretches between F2/F1c and B1c/B2
+        if (opts.includeLoops) {
+          const lf = loopBetween("LF", f2.end, f1c.start);
+          const lb = loopBetween("LB", b1c.end, b2.start);
+          if (lf) set.LF = lf;
+          if (lb) set.LB = lb;
+        }
+
+        // A requested loop primer that doesn't fit counts like a poor Tm
+        const missingLoops = opts.includeLoops ? ["LF", "LB"].filter(type => !set[type]).length : 0;
+        sets.push({
+          regions: set,
+          tmPenalty: Object.values(set).reduce((sum, c) => sum + c.tmPenalty, 0) + missingLoops * MISSING_LOOP_PENALTY
+        });
+      }
+    }
+  }
+
+  debugLog(`Design: ${sets.length} geometric sets`);
+  return sets.sort((a, b) => a.tmPenalty - b.tmPenalty);
+}
+
+/* -----------------------
+   Set → Primer List
+   Same { name, seq } shape parsePrimers produces, in input order
+------------------------ */
+function designSetPrimers(regions) {
+  const primers = [
+    { name: "F3", seq: regions.F3.seq },
+    { name: "B3", seq: regions.B3.seq },
+    { name: "FIP", seq: regions.F1c.seq + regions.F2.seq },
+    { name: "BIP", seq: regions.B1c.seq + regions.B2.seq }
+  ];
+  if (regions.LF) primers.push({ name: "LF", seq: regions.LF.seq });
+  if (regions.LB) primers.push({ name: "LB", seq: regions.LB.seq });
+  return primers;
+}
+
+function designSetText(set) {
+  return set.primers.map(p => `${p.name}=${p.seq}`).join("\n");
+}
+
+/* -----------------------
+   Design Primer Sets
+   Entry point. Shortlists geometric sets by Tm fit, then rejects sets
+   whose oligos (or FIP/BIP) carry a stable 3'/5' hairpin or whose
+   primers form an extendable dimer. Score (lower is better) adds the
+   Tm penalty, hairpin ΔG and worst dimer ΔG.
+   Returns [{ score, primers, regions, amplicon, worstHairpinDG, worstDimerDG }]
+------------------------ */
+function designPrimerSets(gene, target = null, options = {}) {
+  const opts = { ...DESIGN_DEFAULTS, ...options };
+  gene = gene.toUpperCase();
+
+  const hairpinCache = new Map();
+  const worstHairpin = seq => {
+    if (!hairpinCache.has(seq)) {
+      const hits = [scoreHairpin3Prime(seq), scoreHairpin5Prime(seq)].filter(Boolean);
+      hairpinCache.set(seq, hits.length ? Math.min(...hits.map(h => h.dG)) : 0);
+    }
+    return hairpinCache.get(seq);
+  };
+
+  const results = [];
+  // Best set per F2 position, so the shortlist spreads along the template
+  const seenF2 = new Set();
+  const shortlist = assembleDesignSets(gene, target, opts)
+    .filter(set => !seenF2.has(set.regions.F2.start) && seenF2.add(set.regions.F2.start))
+    .slice(0, opts.shortlistSize);
+
+  for (const candidate of shortlist) {
+    // Same overlap test the primer table uses, as a last geometric guard
+    const regions = Object.values(candidate.regions);
+    const overlapping = regions.some((r1, i) =>
+      regions.slice(i + 1).some(r2 => rangesOverlap(r1.start, r1.end, r2.start, r2.end)));
+    if (overlapping) continue;
+
+    const primers = designSetPrimers(candidate.regions);
+
+    const worstHairpinDG = Math.min(...primers.map(p => worstHairpin(p.seq)));
+    if (worstHairpinDG < opts.maxHairpinDG) continue;
+
+    const dimers = checkAllDimers(primers, "alignment");
+    const extendable = dimers.filter(d => d.threePrimeExtendable);
+    const worstDimerDG = extendable.length ? Math.min(...extendable.map(d => d.dG)) : 0;
+    if (worstDimerDG < opts.maxDimerDG) continue;
+
+    results.push({
+      score: candidate.tmPenalty - worstHairpinDG - worstDimerDG,
+      primers: primers,
+      regions: candidate.regions,
+      amplicon: { start: candidate.regions.F2.start, end: candidate.regions.B2.end },
+      worstHairpinDG: worstHairpinDG,
+      worstDimerDG: worstDimerDG
+    });
+  }
+
+  results.sort((a, b) => a.score - b.score);
+  debugLog(`Design: ${results.length} set(s) passed hairpin/dimer checks`);
+  return results.slice(0, opts.maxSets);
+}
+
+/* -----------------------
+   Hairpin-Free Alternatives
+   For a primer flagged by the 3'/5' end hairpin checks: shift, extend
+   or trim its boundaries on the template (each FIP/BIP part on its
+   own) within the PRIMER_LENGTH_RANGES window; a FIP/BIP must also
+   stay within its total length range. Versions that still
+   carry an end hairpin, overlap another primer or form a strong
+   extendable dimer are dropped; the rest are ranked by how little
+   they move and how close their Tm stays to the original.
+   Primers with no range (a probe, say) get no alternatives.
+   Alternative: { part, start, end, seq, partSeq, tm, worstDimerDG, score, label }
+   part is null for regular primers, "left"/"right" for FIP/BIP; seq
+   is the full oligo, FIP/BIP rebuilt in their part order
+------------------------ */
+const ALTERNATIVE_DEFAULTS = {
+  maxShift: 5,        // How far the start may move either way
+  dimerChecks: 15,    // Closest candidates given the dimer check
+  maxResults: 5
+};
+
+function suggestHairpinAlternatives(gene, primers, primerIdx, settings = {}, options = {}) {
+  const opts = { ...ALTERNATIVE_DEFAULTS, ...options };
+  const primer = primers[primerIdx];
+  const hairpinMode = settings.hairpinMode || "exact";
+  const circularLength = settings.circular ? gene.length : 0;
+  const others = primers.filter((_, idx) => idx !== primerIdx);
+  const totalLengths = primer.isInner ? PRIMER_LENGTH_RANGES[primer.name.toUpperCase()] : null;
+
+  // What can move: the whole primer, or each FIP/BIP part
+  let parts;
+  if (primer.isInner) {
+    if (primer.leftStart === undefined || primer.leftStart === -1) return [];
+    parts = [
+      { part: "left", type: primer.leftType, start: primer.leftStart, end: primer.leftEnd, rc: true },
+      { part: "right", type: primer.rightType, start: primer.rightStart, end: primer.rightEnd, rc: false }
+    ];
+  } else {
+    if (primer.start === -1) return [];
+    parts = [{ part: null, type: primer.name, start: primer.start, end: primer.end, rc: primer.orientation === "reverse (RC)" }];
+  }
+
+  // Template ranges of the rest of the set
+  const otherRanges = [];
+  others.forEach(p => {
+    if (p.isInner) {
+      if (p.leftStart === undefined || p.leftStart === -1) return;
+      otherRanges.push({ start: p.leftStart, end: p.leftEnd }, { start: p.rightStart, end: p.rightEnd });
+    } else if (p.start !== -1) {
+      otherRanges.push({ start: p.start, end: p.end });
+    }
+  });
+
+  const candidates = [];
+
+  parts.forEach(part => {
+    // FIP/BIP parts use their F1c/F2/B1c/B2 range
+    const lengths = PRIMER_LENGTH_RANGES[part.type];
+    if (!lengths) return;
+    const currentSeq = primer.isInner ? primer[part.part] : primer.seq;
+    const currentTm = calculateTm(currentSeq);
+    // Moving one FIP/BIP part must not run into the other
+    const blocked = otherRanges.concat(parts.filter(other => other !== part));
+
+    for (let shift = -opts.maxShift; shift <= opts.maxShift; shift++) {
+      for (let len = lengths.min; len <= lengths.max; len++) {
+        let start = part.start + shift;
+        let end = start + len;
+        if (start === part.start && end === part.end) continue;
+
+        if (circularLength) {
+          ({ start, end } = normalizeCircularRange(start, end, circularLength));
+        } else if (start < 0 || end > gene.length) {
+          continue;
+        }
+
+        if (blocked.some(r => rangesOverlap(start, end, r.start, r.end, circularLength))) continue;
+
+        const region = templateSlice(gene, start, end);
+        const partSeq = part.rc ? revcomp(region) : region;
+        const seq = part.part === "left" ? joinInnerParts(primer, partSeq, primer.right)
+          : part.part === "right" ? joinInnerParts(primer, primer.left, partSeq)
+          : partSeq;
+        if (totalLengths && (seq.length < totalLengths.min || seq.length > totalLengths.max)) continue;
+
+        const check = { seq };
+        analyzeHairpins(check, hairpinMode);
+        if (check.hasHairpin) continue;
+
+        const tm = calculateTm(partSeq);
+        const moved = Math.abs(start - part.start) + Math.abs(end - part.end);
+        candidates.push({
+          part: part.part,
+          type: part.type,
+          start, end, seq, partSeq, tm,
+          score: moved + (tm !== null && currentTm !== null ? Math.abs(tm - currentTm) : 0)
+        });
+      }
+    }
+  });
+
+  // Dimer check for the closest candidates only (alignment is the slow part)
+  const results = [];
+  candidates.sort((a, b) => a.score - b.score).slice(0, opts.dimerChecks).forEach(c => {
+    const extendable = dimersWithPrimer(primer.name, c.seq, others, settings.dimerMode || "alignment")
+      .filter(d => d.threePrimeExtendable);
+    c.worstDimerDG = extendable.length ? Math.min(...extendable.map(d => d.dG)) : 0;
+    if (c.worstDimerDG <= DIMER_DG_SEVERITY_THRESHOLDS.strong) return;
+    if (c.worstDimerDG <= DIMER_DG_SEVERITY_THRESHOLDS.moderate) c.score += 2;
+
+    c.label = `${c.part ? `${c.type} ` : ""}${c.start + 1}-${c.end > gene.length ? c.end - gene.length : c.end} (${c.end - c.start}bp)`;
+    results.push(c);
+  });
+
+  debugLog(`Alternatives for ${primer.name}: ${candidates.length} hairpin-free, ${results.length} after dimer check`);
+  return results.sort((a, b) => a.score - b.score).slice(0, opts.maxResults);
+}
+
+// Self-dimers of seq plus its dimers with every other primer
+function dimersWithPrimer(name, seq, others, mode = "alignment") {
+  if (mode === "exact") {
+    const seqs = { [name]: seq };
+    others.forEach(p => { seqs[p.name] = p.seq; });
+    return checkSelfDimer(name, seq)
+      .concat(...others.map(p => checkDimer(name, seq, p.name, p.seq)))
+      .map(hit => exactDimerToDuplex(hit, seqs[hit.primer1], seqs[hit.primer2]));
+  }
+  return alignDimer(name, seq, name, seq)
+    .concat(...others.map(p => alignDimer(name, seq, p.name, p.seq)));
+}
@@ -0,0 +1,183 @@
+/* ================================================================
+   EXCLUSIVITY.JS - Off-Target Screening Against Background Sequences
+   Contains: k-mer index of local background FASTA records, seeded
+             search of primers on both strands, off-target severity
+             and the ranked report
+   Runs offline on loaded files, no DOM access (panel in ui.js)
+   ================================================================ */
+
+/* -----------------------
+   Search Parameters
+   Hits start from an exact EXCLUSIVITY_SEED_LENGTH-mer shared with the
+   oligo (like BLAST word hits) and are then extended over the whole
+   oligo with matchAt. Matches whose mismatches leave no exact seed
+   are not reported.
+   Seeds occurring more than EXCLUSIVITY_MAX_SEED_HITS times (repeats,
+   low complexity) are skipped; backgrounds are limited to
+   EXCLUSIVITY_MAX_BACKGROUND_BASES so the index fits in memory
+------------------------ */
+const EXCLUSIVITY_SEED_LENGTH = 8;
+const EXCLUSIVITY_MAX_MISMATCH_SCORE = 4;  // weighted, as in matchAt
+const EXCLUSIVITY_MAX_SEED_HITS = 1000;
+const EXCLUSIVITY_MAX_BACKGROUND_BASES = 20000000;
+const EXCLUSIVITY_MAX_REPORTED_HITS = 20;
+
+// F2/B2 start LAMP on the template: near-matches there can seed
+// amplification even when nothing else binds
+const EXCLUSIVITY_INITIATING_REGIONS = ["F2", "B2"];
+
+/* -----------------------
+   Background Index
+   records: [{ name, source, seq }] (cleaned sequences).
+   Returns { k, records, bases, kmers } where kmers maps each k-mer of
+   the forward strands to a flat [recordIdx, pos, recordIdx, pos, ...]
+   list. K-mers containing ambiguity codes are not indexed
+------------------------ */
+function buildBackgroundIndex(records, k = EXCLUSIVITY_SEED_LENGTH) {
+  const bases = records.reduce((sum, r) => sum + r.seq.length, 0);
+  if (bases > EXCLUSIVITY_MAX_BACKGROUND_BASES) {
+    throw new Error(`Background too large (${bases.toLocaleString()} bases, limit ${EXCLUSIVITY_MAX_BACKGROUND_BASES.toLocaleString()})`);
+  }
+
+  const kmers = new Map();
+  records.forEach((record, r) => {
+    const seq = record.seq;
+    for (let i = 0; i + k <= seq.length; i++) {
+      const kmer = seq.substring(i, i + k);
+      if (/[^ACGT]/.test(kmer)) continue;
+      let list = kmers.get(kmer);
+      if (!list) {
+        list = [];
+        kmers.set(kmer, list);
+      }
+      list.push(r, i);
+    }
+  });
+
+  debugLog(`Background index: ${records.length} record(s), ${bases} bases, ${kmers.size} distinct ${k}-mers`);
+  return { k, records, bases, kmers };
+}
+
+/* -----------------------
+   Screen One Oligo
+   target: from inclusivityTargets (label, region, seq, primingEnd).
+   The oligo and its reverse complement are both looked up in the
+   indexed strand, so hits on either strand are found: "forward" hits
+   read as the oligo, "reverse (RC)" hits as its RC (orientation names
+   as in findBindingSites).
+   Hit: { record, start, end, orientation, mismatches, count,
+          mismatchScore, extendable, severity }, mismatches as offsets
+   in the oligo (5'→3')
+------------------------ */
+function screenOligo(index, target, maxScore = EXCLUSIVITY_MAX_MISMATCH_SCORE) {
+  const len = target.seq.length;
+  const primesFrom3 = target.primingEnd === "3′";
+  const queries = [
+    { seq: target.seq, orientation: "forward", threePrime: primesFrom3 ? "end" : undefined },
+    { seq: revcomp(target.seq), orientation: "reverse (RC)", threePrime: primesFrom3 ? "start" : undefined }
+  ];
+  const hits = [];
+  const seen = new Set();
+
+  queries.forEach(query => {
+    // Palindromic oligos: both queries are the same search
+    if (query.orientation === "reverse (RC)" && query.seq === target.seq) return;
+
+    for (let s = 0; s + index.k <= len; s++) {
+      const list = index.kmers.get(query.seq.substring(s, s + index.k));
+      if (!list || list.length / 2 > EXCLUSIVITY_MAX_SEED_HITS) continue;
+
+      for (let j = 0; j < list.length; j += 2) {
+        const r = list[j];
+        const start = list[j + 1] - s;
+        const bg = index.records[r].seq;
+        const id = `${query.orientation}:${r}:${start}`;
+        if (start < 0 || start + len > bg.length || seen.has(id)) continue;
+        seen.add(id);
+
+        const match = matchAt(bg, query.seq, start, { maxMismatches: maxScore, threePrime: query.threePrime });
+        if (!match) continue;
+
+        // Offsets in the searched string back to offsets in the oligo
+        const mismatches = query.orientation === "forward"
+          ? match.mismatches
+          : match.mismatches.map(k => len - 1 - k);
+        hits.push(classifyOffTarget(target, {
+          record: r,
+          start: start,
+          end: start + len,
+          orientation: query.orientation,
+          mismatches: mismatches,
+          count: mismatches.length,
+          mismatchScore: match.mismatchScore
+        }));
+      }
+    }
+  });
+
+  return hits.sort(compareOffTargetHits);
+}
+
+/* -----------------------
+   Off-Target Severity
+   extendable: the oligo primes from its 3' end and the last
+   THREE_PRIME_WINDOW bases all pair (F1c/B1c only prime from the
+   amplified dumbbell, never from a background site).
+   - strong:   extendable with at most 1 mismatch
+   - moderate: extendable, or an F2/B2 near-match (at most 1 mismatch)
+   - weak:     anything else within the mismatch tolerance
+------------------------ */
+const OFF_TARGET_SEVERITY_ORDER = { strong: 0, moderate: 1, weak: 2 };
+
+function classifyOffTarget(target, hit) {
+  const len = target.seq.length;
+  const extendable = target.primingEnd === "3′" &&
+    !hit.mismatches.some(k => k >= len - THREE_PRIME_WINDOW);
+  const nearMatch = hit.count <= 1;
+  const initiating = EXCLUSIVITY_INITIATING_REGIONS.includes(target.region);
+
+  let severity = "weak";
+  if (extendable && nearMatch) severity = "strong";
+  else if (extendable || (initiating && nearMatch)) severity = "moderate";
+
+  return { ...hit, extendable, severity };
+}
+
+// Most dangerous first: severity, then fewest mismatches
+function compareOffTargetHits(a, b) {
+  return OFF_TARGET_SEVERITY_ORDER[a.severity] - OFF_TARGET_SEVERITY_ORDER[b.severity] ||
+    a.mismatchScore - b.mismatchScore ||
+    a.count - b.count;
+}
+
+/* -----------------------
+   Exclusivity Report
+   One entry per oligo (primers and FIP/BIP parts), most dangerous
+   first: { target, hits (top EXCLUSIVITY_MAX_REPORTED_HITS),
+   totalHits, strongCount, moderateCount, worst }.
+   Ranked by the worst hit, then the number of strong and moderate hits
+------------------------ */
+function screenExclusivity(index, primers) {
+  const entries = inclusivityTargets(primers).map(target => {
+    const hits = screenOligo(index, target);
+    return {
+      target: target,
+      hits: hits.slice(0, EXCLUSIVITY_MAX_REPORTED_HITS),
+      totalHits: hits.length,
+      strongCount: hits.filter(h => h.severity === "strong").length,
+      moderateCount: hits.filter(h => h.severity === "moderate").length,
+      worst: hits[0] || null
+    };
+  });
+
+  entries.sort((a, b) =>
+    (a.worst ? 0 : 1) - (b.worst ? 0 : 1) ||
+    (a.worst && b.worst ? compareOffTargetHits(a.worst, b.worst) : 0) ||
+    b.strongCount - a.strongCount ||
+    b.moderateCount - a.moderateCount ||
+    b.totalHits - a.totalHits
+  );
+
+  debugLog(`Exclusivity: ${entries.length} oligo(s) screened, ${entries.filter(e => e.strongCount > 0).length} with strong off-target hits`);
+  return { entries, recordCount: index.records.length, bases: index.bases };
+}
@@ -0,0 +1,177 @@
+/* ================================================================
+   EXPORT.JS - Analysis Export Formats
+   Contains: CSV tables (primers, dimers), structured JSON, oligo
+             order sheets (tube or 96-well plate bulk upload)
+   Builds file contents only, no DOM access (downloads in ui.js)
+   ================================================================ */
+
+const EXPORT_SCHEMA = "lamp-primer-analysis";
+const EXPORT_SCHEMA_VERSION = 1;
+
+// Choices offered on order sheets (IDT-style bulk upload values)
+const ORDER_SCALES = ["25nm", "100nm", "250nm", "1um"];
+const ORDER_PURIFICATIONS = ["STD", "PAGE", "HPLC"];
+
+/* -----------------------
+   CSV Helpers
+   Fields with the delimiter, quotes or line breaks are quoted
+   (RFC 4180); the same rules give TSV with delimiter "\t"
+------------------------ */
+function csvField(value, delimiter = ",") {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return (text.includes(delimiter) || /["\r\n]/.test(text)) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows, delimiter = ",") {
+  return [header, ...rows].map(row => row.map(value => csvField(value, delimiter)).join(delimiter)).join("\r\n") + "\r\n";
+}
+
+// 1-based inclusive range of a placed region, wrapped past the origin
+function exportRange(start, end, geneLength) {
+  if (start === undefined || start === -1) return { start: null, end: null };
+  return { start: start + 1, end: end > geneLength ? end - geneLength : end };
+}
+
+/* -----------------------
+   Primer Records
+   One flat record per primer, shared by every format. The sequence is
+   always the full oligo as ordered (FIP/BIP = 1c part + 2 part), with
+   the parts listed separately. mismatches (null when not placed) has
+   the template mismatches at the chosen site: positions are 1-based
+   in the full oligo
+------------------------ */
+function primerExportRecord(p, geneLength) {
+  const record = {
+    name: p.name,
+    sequence: p.seq,
+    length: p.seq.length,
+    orientation: p.orientation || null,
+    start: null,
+    end: null,
+    tm: p.tm === undefined ? null : p.tm,
+    parts: [],
+    hairpins: rankHairpins(p),
+    hairpinScan: p.hairpinScan || [],
+    composition: p.composition || [],
+    lengthWarnings: getPrimerLengthWarnings(p),
+    mismatches: null
+  };
+
+  if (p.isInner) {
+    if (p.leftStart !== undefined && p.leftStart !== -1) {
+      record.parts = [
+        { type: p.leftType, sequence: p.left, orientation: "reverse (RC)", tm: p.leftTm,
+          ...exportRange(p.leftStart, p.leftEnd, geneLength) },
+        { type: p.rightType, sequence: p.right, orientation: "forward", tm: p.rightTm,
+          ...exportRange(p.rightStart, p.rightEnd, geneLength) }
+      ];
+    }
+  } else {
+    Object.assign(record, exportRange(p.start, p.end, geneLength));
+  }
+
+  if (record.parts.length > 0 || record.start !== null) {
+    const positions = p.mismatchPositions || [];
+    record.mismatches = { count: positions.length, positions: positions.map(k => k + 1), score: p.mismatchScore || 0 };
+  }
+  return record;
+}
+
+/* -----------------------
+   CSV: Primer Table
+   FIP/BIP part positions go in their own columns so every primer
+   stays on one row (delimiter "\t" for TSV)
+------------------------ */
+function buildPrimerCsv(primers, geneLength, delimiter = ",") {
+  const header = ["Name", "Sequence", "Length", "Start", "End", "Orientation", "Tm",
+    "Part 1", "Part 1 Start", "Part 1 End", "Part 1 Tm", "Part 2", "Part 2 Start", "Part 2 End", "Part 2 Tm",
+    "Mismatches", "Mismatch Positions", "Mismatch Score", "Hairpins", "Composition", "Length Warnings"];
+
+  const formatNumber = value => (value === null || value === undefined) ? "" : value.toFixed(1);
+
+  const rows = primers.map(p => {
+    const r = primerExportRecord(p, geneLength);
+    const parts = [0, 1].flatMap(k => {
+      const part = r.parts[k];
+      return part ? [`${part.type}=${part.sequence}`, part.start, part.end, formatNumber(part.tm)] : ["", "", "", ""];
+    });
+    const hairpins = r.hairpins.map(hp => `${hp.type === "3prime" ? "3′" : "5′"} stem ${hp.stemLength} loop ${hp.loopLength} ΔG ${formatNumber(hp.dG)}`).join("; ");
+    const composition = r.composition.map(c => `${c.type}: ${c.status}`).join("; ");
+    const mismatches = r.mismatches ? [r.mismatches.count, r.mismatches.positions.join(" "), r.mismatches.score] : ["", "", ""];
+    return [r.name, r.sequence, r.length, r.start, r.end, r.orientation, formatNumber(r.tm),
+      ...parts, ...mismatches, hairpins, composition, r.lengthWarnings.join("; ")];
+  });
+
+  return toCsv(header, rows, delimiter);
+}
+
+// CSV: one row per self- or cross-dimer
+function buildDimerCsv(dimers) {
+  const header = ["Primer 1", "Primer 2", "Type", "dG (kcal/mol)", "Base Pairs", "Mismatches", "Bulges", "3' Extendable"];
+  const rows = dimers.map(d => [
+    d.primer1, d.primer2, d.isSelf ? "self" : "cross",
+    d.dG === undefined || d.dG === null ? "" : d.dG.toFixed(2),
+    d.matchLength, d.mismatches || 0, d.bulges || 0, d.threePrimeExtendable ? "yes" : "no"
+  ]);
+  return toCsv(header, rows);
+}
+
+/* -----------------------
+   JSON: Full Analysis State
+   { schema, version, exportedAt, template, settings, primers,
+     dimers, geometry, warnings, checks? }
+   checks ({ failures, warnings } from lampSetChecks) is included
+   when the caller passes it (command-line runs)
+------------------------ */
+function buildAnalysisJson(state) {
+  const geneLength = state.gene.length;
+  const geometry = validateLampGeometry(state.primers, geneLength, !!state.settings.circular);
+
+  const doc = {
+    schema: EXPORT_SCHEMA,
+    version: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    template: {
+      name: state.record ? state.record.name : null,
+      length: geneLength,
+      circular: !!state.settings.circular,
+      sequence: state.gene
+    },
+    settings: { ...state.settings },
+    primers: state.primers.map(p => primerExportRecord(p, geneLength)),
+    dimers: state.dimers,
+    geometry: geometry.checks,
+    warnings: state.primers.flatMap(p => getPrimerLengthWarnings(p).concat(getCompositionWarnings(p)))
+  };
+  if (state.checks) doc.checks = state.checks;
+
+  return JSON.stringify(doc, null, 2);
+}
+
+/* -----------------------
+   Oligo Order Sheet
+   Bulk-upload layout accepted by oligo vendors:
+   - tube:  Name, Sequence, Scale, Purification
+   - plate: Well Position, Name, Sequence, Scale, Purification
+     (96-well, filled down each column: A1, B1, ... H1, A2, ...)
+   FIP/BIP are ordered as the full concatenated oligo
+------------------------ */
+function plateWell(index) {
+  return `${"ABCDEFGH"[index % 8]}${Math.floor(index / 8) + 1}`;
+}
+
+function buildOrderSheet(primers, options = {}) {
+  const layout = options.layout || "tube";
+  const scale = options.scale || ORDER_SCALES[0];
+  const purification = options.purification || ORDER_PURIFICATIONS[0];
+  const prefix = options.namePrefix || "";
+
+  const rows = primers.map((p, idx) => {
+    const row = [`${prefix}${p.name}`, p.seq.toUpperCase(), scale, purification];
+    return layout === "plate" ? [plateWell(idx), ...row] : row;
+  });
+  const header = ["Name", "Sequence", "Scale", "Purification"];
+
+  return toCsv(layout === "plate" ? ["Well Position", ...header] : header, rows);
+}
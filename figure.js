@@ -0,0 +1,157 @@
+/* ================================================================
+   FIGURE.JS - Sequence Figure Export (SVG)
+   Contains: SVG renderer for the annotated sequence (primer colours,
+             hairpin stems, exon junctions, position ruler, legend)
+   Builds the SVG markup only; PNG conversion and downloads in ui.js
+   ================================================================ */
+
+/* -----------------------
+   Figure Layout (px)
+------------------------ */
+const FIGURE_LAYOUT = {
+  charWidth: 11,
+  fontSize: 14,
+  margin: 20,
+  labelWidth: 60,     // Left column for line start positions
+  titleHeight: 28,
+  rulerHeight: 16,
+  lineHeight: 22,
+  lineGap: 10,
+  legendRow: 20
+};
+
+const FIGURE_DEFAULT_LINE_WIDTH = 60;
+
+// Legend entries for highlight types (primer colours are added per set)
+const FIGURE_LEGEND = [
+  { label: "3′ hairpin tail", fill: "#FF1493" },
+  { label: "3′ hairpin complement", fill: "#C71585" },
+  { label: "5′ hairpin head", fill: "#1E90FF" },
+  { label: "5′ hairpin complement", fill: "#4169E1" },
+  { label: "Internal fold", fill: "#BA68C8", dash: "4,2" },
+  { label: "Mismatch", fill: "#d32f2f" },
+  { label: "Off-target site", fill: "#f5f5f5", dash: "1,2" }
+];
+
+const SVG_DASH = { dotted: "1,2", dashed: "4,2" };
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, c =>
+    ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+// Primer colour swatches for every region placed in the set
+function figurePrimerLegend(primers) {
+  const entries = [];
+  primers.forEach(p => {
+    const names = p.isInner
+      ? ((p.leftStart !== undefined && p.leftStart !== -1) ? [p.leftType, p.rightType] : [])
+      : (p.start !== -1 ? [p.name] : []);
+    names.forEach(name => {
+      if (!entries.some(e => e.label === name)) entries.push({ label: name, fill: getPrimerColor(name) });
+    });
+  });
+  return entries;
+}
+
+/* -----------------------
+   Build the SVG
+   options: { start, end } 1-based inclusive region (default: whole
+   template), lineWidth bases per line, title.
+   Each line gets a ruler (tick every 10 bases, label every 10),
+   highlight boxes merged per run of the same top-most highlight,
+   and the bases themselves; exon junctions are red bars after a base
+------------------------ */
+function buildSequenceSvg(gene, primers, exonJunctions = [], options = {}) {
+  const L = FIGURE_LAYOUT;
+  const from = Math.max(1, options.start || 1) - 1;
+  const to = Math.min(gene.length, options.end || gene.length);
+  const lineWidth = Math.max(10, options.lineWidth || FIGURE_DEFAULT_LINE_WIDTH);
+  const title = options.title || `Positions ${from + 1}-${to}`;
+
+  const chars = annotateSequence(gene, primers);
+  const lineCount = Math.max(1, Math.ceil((to - from) / lineWidth));
+  const rowHeight = L.rulerHeight + L.lineHeight + L.lineGap;
+
+  const legend = figurePrimerLegend(primers).concat(FIGURE_LEGEND);
+  if (exonJunctions.length > 0) legend.push({ label: "Exon junction", bar: true });
+
+  const width = L.margin * 2 + L.labelWidth + lineWidth * L.charWidth;
+  const legendPerRow = Math.max(1, Math.floor((width - L.margin * 2) / 150));
+  const legendTop = L.margin + L.titleHeight + lineCount * rowHeight;
+  const height = legendTop + Math.ceil(legend.length / legendPerRow) * L.legendRow + L.margin;
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Menlo, Consolas, 'Courier New', monospace">`);
+  parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+  parts.push(`<text x="${L.margin}" y="${L.margin + 14}" font-size="16" font-weight="bold" fill="#222">${escapeXml(title)}</text>`);
+
+  for (let line = 0; line < lineCount; line++) {
+    const lineStart = from + line * lineWidth;
+    const lineEnd = Math.min(to, lineStart + lineWidth);
+    const top = L.margin + L.titleHeight + line * rowHeight;
+    const seqTop = top + L.rulerHeight;
+    const x0 = L.margin + L.labelWidth;
+    const xOf = idx => x0 + (idx - lineStart) * L.charWidth;
+
+    // Ruler
+    parts.push(`<line x1="${x0}" y1="${seqTop - 2}" x2="${xOf(lineEnd)}" y2="${seqTop - 2}" stroke="#999" stroke-width="1"/>`);
+    for (let idx = lineStart; idx < lineEnd; idx++) {
+      if ((idx + 1) % 10 !== 0) continue;
+      const x = xOf(idx) + L.charWidth / 2;
+      parts.push(`<line x1="${x}" y1="${seqTop - 6}" x2="${x}" y2="${seqTop - 2}" stroke="#999" stroke-width="1"/>`);
+      parts.push(`<text x="${x}" y="${seqTop - 8}" font-size="9" fill="#666" text-anchor="middle">${idx + 1}</text>`);
+    }
+    parts.push(`<text x="${x0 - 8}" y="${seqTop + L.fontSize}" font-size="11" fill="#666" text-anchor="end">${lineStart + 1}</text>`);
+
+    // Highlight boxes: one per run of bases sharing the top-most highlight
+    let runStart = lineStart;
+    for (let idx = lineStart + 1; idx <= lineEnd; idx++) {
+      const top1 = topHighlight(chars[runStart]);
+      if (idx < lineEnd && topHighlight(chars[idx]) === top1) continue;
+      if (top1) {
+        const stroke = top1.borderColor
+          ? ` stroke="${top1.borderColor}" stroke-width="2"${top1.borderStyle ? ` stroke-dasharray="${SVG_DASH[top1.borderStyle]}"` : ""}`
+          : "";
+        parts.push(`<rect x="${xOf(runStart) + 0.5}" y="${seqTop + 1}" width="${(idx - runStart) * L.charWidth - 1}" height="${L.lineHeight - 2}" rx="3" fill="${top1.color}"${stroke}/>`);
+      }
+      runStart = idx;
+    }
+
+    // Bases (one x per base so every font keeps the grid)
+    for (let idx = lineStart; idx < lineEnd; idx++) {
+      const hl = topHighlight(chars[idx]);
+      const fill = hl && hl.textColor ? hl.textColor : isAmbiguousBase(chars[idx].base) ? "#8a2be2" : "#222";
+      const weight = hl && hl.borderColor ? ` font-weight="bold"` : "";
+      parts.push(`<text x="${xOf(idx) + L.charWidth / 2}" y="${seqTop + L.fontSize + 1}" font-size="${L.fontSize}" fill="${fill}" text-anchor="middle"${weight}>${escapeXml(chars[idx].base)}</text>`);
+    }
+
+    // Exon junctions after base N (drawn between N and N+1)
+    exonJunctions.forEach(pos => {
+      if (pos <= lineStart || pos > lineEnd) return;
+      const x = xOf(pos);
+      parts.push(`<rect x="${x - 1.5}" y="${seqTop - 2}" width="3" height="${L.lineHeight + 4}" fill="#d32f2f"/>`);
+    });
+  }
+
+  // Legend
+  legend.forEach((entry, k) => {
+    const x = L.margin + (k % legendPerRow) * 150;
+    const y = legendTop + Math.floor(k / legendPerRow) * L.legendRow;
+    if (entry.bar) {
+      parts.push(`<rect x="${x + 6}" y="${y}" width="3" height="14" fill="#d32f2f"/>`);
+    } else {
+      const dash = entry.dash ? ` stroke="#666" stroke-dasharray="${entry.dash}"` : "";
+      parts.push(`<rect x="${x}" y="${y}" width="16" height="14" rx="3" fill="${entry.fill}"${dash}/>`);
+    }
+    parts.push(`<text x="${x + 22}" y="${y + 11}" font-size="11" fill="#222">${escapeXml(entry.label)}</text>`);
+  });
+
+  parts.push(`</svg>`);
+  return parts.join("\n");
+}
+
+// Top-most (last added) highlight of a base, or null
+function topHighlight(charObj) {
+  return charObj.highlights.length ? charObj.highlights[charObj.highlights.length - 1] : null;
+}
@@ -0,0 +1,163 @@
+/* ================================================================
+   GEOMETRY.JS - LAMP Primer-Set Geometry Validation
+   Contains: region extraction, order check, distance checks
+   Works on primers after attachPrimerPositions, no DOM access
+   ================================================================ */
+
+/* -----------------------
+   LAMP Region Order
+   Template (sense strand) order of a LAMP set. Loop primers are
+   optional and sit between F2/F1c and B1c/B2
+------------------------ */
+const LAMP_REGION_ORDER = ["F3", "F2", "LF", "F1c", "B1c", "LB", "B2", "B3"];
+
+// Primer names accepted for each single-region primer
+const LAMP_PRIMER_NAMES = {
+  F3: ["F3"],
+  B3: ["B3"],
+  LF: ["LF", "LOOPF"],
+  LB: ["LB", "LOOPB"]
+};
+
+/* -----------------------
+   Distance Rules (PrimerExplorer guidelines)
+   Each rule measures bases between two region boundaries:
+   - amplicon: 5' end of F2 to 5' end of B2
+   - F loop / B loop: 5' end of F2 to 5' end of F1 (and B side),
+     the stretch that forms the loop
+   - F3-F2 / B2-B3 gap: bases between the outer and inner primers
+   - F1c-B1c spacing: bases between the two inner 1c regions
+   measure(regions) returns null when a region is missing
+------------------------ */
+const LAMP_DISTANCE_RULES = [
+  {
+    id: "amplicon",
+    label: "F2–B2 amplicon size",
+    min: 120,
+    max: 160,
+    measure: r => (r.F2 && r.B2) ? r.B2.end - r.F2.start : null
+  },
+  {
+    id: "fLoop",
+    label: "F2 to F1c loop length",
+    min: 40,
+    max: 60,
+    measure: r => (r.F2 && r.F1c) ? r.F1c.start - r.F2.start : null
+  },
+  {
+    id: "bLoop",
+    label: "B1c to B2 loop length",
+    min: 40,
+    max: 60,
+    measure: r => (r.B1c && r.B2) ? r.B2.end - r.B1c.end : null
+  },
+  {
+    id: "f3Gap",
+    label: "F3 to F2 gap",
+    min: 0,
+    max: 60,
+    measure: r => (r.F3 && r.F2) ? r.F2.start - r.F3.end : null
+  },
+  {
+    id: "b3Gap",
+    label: "B2 to B3 gap",
+    min: 0,
+    max: 60,
+    measure: r => (r.B2 && r.B3) ? r.B3.start - r.B2.end : null
+  },
+  {
+    id: "f1cB1c",
+    label: "F1c to B1c spacing",
+    min: 0,
+    max: 100,
+    measure: r => (r.F1c && r.B1c) ? r.B1c.start - r.F1c.end : null
+  }
+];
+
+/* -----------------------
+   Region Extraction
+   Returns { F3: {start, end}, F2: ..., ... } for every placed region.
+   FIP/BIP parts come from leftType/rightType. On circular templates
+   regions before the first one found are moved one turn later, so a
+   set spanning the origin is measured as one continuous stretch
+------------------------ */
+function getLampRegions(primers, geneLength = 0, circular = false) {
+  const regions = {};
+
+  primers.forEach(p => {
+    const name = p.name.toUpperCase();
+
+    if (p.isInner) {
+      if (p.leftStart === undefined || p.leftStart === -1) return;
+      regions[p.leftType] = { start: p.leftStart, end: p.leftEnd };
+      regions[p.rightType] = { start: p.rightStart, end: p.rightEnd };
+      return;
+    }
+
+    if (p.start === -1) return;
+    const region = Object.keys(LAMP_PRIMER_NAMES).find(key => LAMP_PRIMER_NAMES[key].includes(name));
+    if (region) regions[region] = { start: p.start, end: p.end };
+  });
+
+  if (circular && geneLength > 0) {
+    const firstKey = LAMP_REGION_ORDER.find(key => regions[key]);
+    if (firstKey) {
+      const origin = regions[firstKey].start;
+      Object.values(regions).forEach(r => {
+        if (r.start < origin) {
+          r.start += geneLength;
+          r.end += geneLength;
+        }
+      });
+    }
+  }
+
+  return regions;
+}
+
+/* -----------------------
+   Validate Set Geometry
+   Returns { regions, checks } where each check is
+   { type: "order" | "distance", label, measured, recommended, ok, message }
+   Order: consecutive regions present in the set must start in
+   LAMP_REGION_ORDER order. Distances: see LAMP_DISTANCE_RULES.
+   Nothing is checked until at least two regions are placed
+------------------------ */
+function validateLampGeometry(primers, geneLength = 0, circular = false) {
+  const regions = getLampRegions(primers, geneLength, circular);
+  const present = LAMP_REGION_ORDER.filter(key => regions[key]);
+  const checks = [];
+
+  if (present.length < 2) return { regions, checks };
+
+  for (let k = 0; k < present.length - 1; k++) {
+    const a = present[k];
+    const b = present[k + 1];
+    const ok = regions[a].start < regions[b].start;
+    checks.push({
+      type: "order",
+      label: `${a} before ${b}`,
+      measured: `${a} at ${regions[a].start + 1}, ${b} at ${regions[b].start + 1}`,
+      recommended: `${a} upstream of ${b}`,
+      ok: ok,
+      message: ok ? "" : `${a} (starts ${regions[a].start + 1}) should lie upstream of ${b} (starts ${regions[b].start + 1})`
+    });
+  }
+
+  LAMP_DISTANCE_RULES.forEach(rule => {
+    const measured = rule.measure(regions);
+    if (measured === null) return;
+    const ok = measured >= rule.min && measured <= rule.max;
+    checks.push({
+      type: "distance",
+      label: rule.label,
+      measured: measured,
+      recommended: `${rule.min}-${rule.max}bp`,
+      ok: ok,
+      message: ok ? "" : `${rule.label} is ${measured}bp, recommended ${rule.min}-${rule.max}bp`
+    });
+  });
+
+  debugLog(`Geometry: ${checks.filter(c => !c.ok).length} violation(s) in ${checks.length} check(s)`);
+  return { regions, checks };
+}
@@ -1,20 +1,189 @@
 /* ================================================================
    HAIRPIN.JS - Core Algorithms
-   Contains: reverse complement, hairpin detection, primer splitting
+   Contains: reverse complement, hairpin detection (exact and ΔG
+             scoring), primer splitting, dimer detection (exact 3'
+             end and duplex alignment)
    ================================================================ */
 
 /* -----------------------
-   Reverse Complement
+   IUPAC Nucleotide Codes
+   Each code lists the bases it stands for
+------------------------ */
+const IUPAC_CODES = {
+  A: "A", C: "C", G: "G", T: "T",
+  R: "AG", Y: "CT", S: "CG", W: "AT", K: "GT", M: "AC",
+  B: "CGT", D: "AGT", H: "ACT", V: "ACG",
+  N: "ACGT"
+};
+
+// Complement of every IUPAC code (R=A/G ↔ Y=C/T, B ↔ V, D ↔ H, ...)
+const IUPAC_COMPLEMENT = {
+  A: "T", T: "A", C: "G", G: "C",
+  R: "Y", Y: "R", S: "S", W: "W", K: "M", M: "K",
+  B: "V", V: "B", D: "H", H: "D",
+  N: "N"
+};
+
+/* -----------------------
+   Reverse Complement (IUPAC-aware)
 ------------------------ */
 function revcomp(seq) {
-  const map = { A: "T", T: "A", C: "G", G: "C" };
   return seq
     .split("")
     .reverse()
-    .map(base => map[base] || base)
+    .map(base => IUPAC_COMPLEMENT[base] || base)
     .join("");
 }
 
+/* -----------------------
+   Circular Templates (plasmids)
+   Positions stay 0-indexed with start < gene.length; a range that
+   crosses the origin simply has end > gene.length. Searches run on the
+   template with its first bases appended so sites can wrap around
+------------------------ */
+function searchTemplate(gene, seqLength, circular) {
+  return circular ? gene + gene.slice(0, Math.max(0, seqLength - 1)) : gene;
+}
+
+// Bases from start to end, wrapping past the origin if end > gene.length
+function templateSlice(gene, start, end) {
+  if (end <= gene.length) return gene.substring(start, end);
+  return gene.substring(start) + gene.substring(0, end - gene.length);
+}
+
+// Bring a circular range into canonical form: start in [0, length),
+// end after start and at most one full turn later
+function normalizeCircularRange(start, end, length) {
+  start = ((start % length) + length) % length;
+  end = ((end % length) + length) % length;
+  if (end <= start) end += length;
+  return { start, end };
+}
+
+/* -----------------------
+   IUPAC-Aware, Mismatch-Tolerant Sequence Location
+   Finds where seq occurs in gene. An exact match is tried first;
+   otherwise ambiguity codes on either side count as partial matches
+   when the bases they stand for overlap (N matches anything, R
+   matches A or G, ...). With options.maxMismatches > 0, sites with
+   true mismatches are accepted while their weighted mismatch score
+   (see mismatchWeight) stays within the limit; the lowest score wins.
+   With options.circular the search wraps around the end of gene.
+   Returns { index, ambiguous, mismatches, mismatchScore } where
+   ambiguous/mismatches list offsets within seq, or null
+------------------------ */
+function isAmbiguousBase(base) {
+  return IUPAC_CODES[base] !== undefined && IUPAC_CODES[base].length > 1;
+}
+
+// Offsets of ambiguity codes within a sequence
+function ambiguousOffsets(seq) {
+  const offsets = [];
+  for (let k = 0; k < seq.length; k++) {
+    if (isAmbiguousBase(seq[k])) offsets.push(k);
+  }
+  return offsets;
+}
+
+function iupacCompatible(b1, b2) {
+  if (b1 === b2) return true;
+  const set1 = IUPAC_CODES[b1];
+  const set2 = IUPAC_CODES[b2];
+  if (!set1 || !set2) return false;
+  return set1.split("").some(base => set2.includes(base));
+}
+
+function locateSequence(gene, seq, options = {}) {
+  const maxMismatches = options.maxMismatches || 0;
+  const geneLength = gene.length;
+  gene = searchTemplate(gene, seq.length, options.circular);
+  
+  const exactIdx = gene.indexOf(seq);
+  if (exactIdx !== -1 && exactIdx < geneLength) {
+    return { index: exactIdx, ambiguous: [], mismatches: [], mismatchScore: 0 };
+  }
+
+  // Only worth a base-by-base scan if either side has ambiguity codes
+  // or mismatches are allowed
+  if (maxMismatches === 0 && !/[^ACGT]/.test(gene) && !/[^ACGT]/.test(seq)) return null;
+
+  let best = null;
+
+  for (let i = 0; i < geneLength && i + seq.length <= gene.length; i++) {
+    const hit = matchAt(gene, seq, i, options);
+    if (!hit) continue;
+
+    // Perfect (IUPAC) match: nothing can beat it
+    if (hit.mismatchScore === 0) return hit;
+    if (!best || hit.mismatchScore < best.mismatchScore) best = hit;
+  }
+
+  return best;
+}
+
+// Every site where seq fits within the mismatch limit, in template order
+function locateAllSequences(gene, seq, options = {}) {
+  const maxMismatches = options.maxMismatches || 0;
+  const geneLength = gene.length;
+  gene = searchTemplate(gene, seq.length, options.circular);
+  const hits = [];
+  
+  if (maxMismatches === 0 && !/[^ACGT]/.test(gene) && !/[^ACGT]/.test(seq)) {
+    for (let i = gene.indexOf(seq); i !== -1 && i < geneLength; i = gene.indexOf(seq, i + 1)) {
+      hits.push({ index: i, ambiguous: [], mismatches: [], mismatchScore: 0 });
+    }
+    return hits;
+  }
+  
+  for (let i = 0; i < geneLength && i + seq.length <= gene.length; i++) {
+    const hit = matchAt(gene, seq, i, options);
+    if (hit) hits.push(hit);
+  }
+  return hits;
+}
+
+// Compare seq against gene at index i; null if the weighted mismatch
+// score exceeds options.maxMismatches
+function matchAt(gene, seq, i, options = {}) {
+  const maxMismatches = options.maxMismatches || 0;
+  const ambiguous = [];
+  const mismatches = [];
+  let score = 0;
+  
+  for (let k = 0; k < seq.length; k++) {
+    const g = gene[i + k];
+    const b = seq[k];
+    if (g === b && !isAmbiguousBase(g)) continue;
+    if (iupacCompatible(g, b)) {
+      ambiguous.push(k);
+      continue;
+    }
+    mismatches.push(k);
+    score += mismatchWeight(k, seq.length, options.threePrime);
+    if (score > maxMismatches) return null;
+  }
+  
+  return { index: i, ambiguous: ambiguous, mismatches: mismatches, mismatchScore: score };
+}
+
+/* -----------------------
+   Mismatch Weighting
+   Mismatches near the primer's 3' end block extension, so they count
+   THREE_PRIME_MISMATCH_WEIGHT times. threePrime says where the 3' end
+   sits in the searched string: "end" (forward binding), "start"
+   (searching the reverse complement) or undefined (no 3' end, e.g.
+   the F1c/B1c part of FIP/BIP)
+------------------------ */
+const THREE_PRIME_WINDOW = 5;
+const THREE_PRIME_MISMATCH_WEIGHT = 2;
+
+function mismatchWeight(offset, length, threePrime) {
+  const fromThreePrime = threePrime === "end" ? length - 1 - offset
+    : threePrime === "start" ? offset
+    : Infinity;
+  return fromThreePrime < THREE_PRIME_WINDOW ? THREE_PRIME_MISMATCH_WEIGHT : 1;
+}
+
 /* -----------------------
    Hairpin Detection (3' and 5' ends)
    Adopts the proven Python logic
@@ -27,14 +196,14 @@ function checkHairpin3Prime(primer, maxStem = 6, minStem = 2, maxLoop = 12) {
   const scanRegion = n > 15 ? primer.slice(-15) : primer;
   const scanStart = n > 15 ? n - 15 : 0; // Offset in original primer
   
-  console.log(`\n3' Hairpin check: ${primer}`);
-  console.log(`  Scan region (last 15bp): ${scanRegion}`);
+  debugLog(`\n3' Hairpin check: ${primer}`);
+  debugLog(`  Scan region (last 15bp): ${scanRegion}`);
 
   for (let stemLen = maxStem; stemLen >= minStem; stemLen--) {
     const stem = scanRegion.slice(-stemLen); // 3' tail
     const rcStem = revcomp(stem);
     
-    console.log(`  Checking stem_len=${stemLen}: stem="${stem}" rc="${rcStem}"`);
+    debugLog(`  Checking stem_len=${stemLen}: stem="${stem}" rc="${rcStem}"`);
 
     // Search upstream (avoid trivial overlap)
     const searchRegion = scanRegion.slice(0, -stemLen);
@@ -49,17 +218,21 @@ function checkHairpin3Prime(primer, maxStem = 6, minStem = 2, maxLoop = 12) {
         const pos3PrimeFrom = n - stemLen;
         const posUpstreamStart = scanStart + start;
         
-        console.log(`  ✓✓ 3' HAIRPIN FOUND!`);
-        console.log(`    stem="${stem}" loop=${loop} stem_len=${stemLen}`);
-        console.log(`    3' end at position ${pos3PrimeFrom} to ${n}`);
-        console.log(`    Upstream pair at position ${posUpstreamStart} to ${posUpstreamStart + stemLen}`);
+        debugLog(`  ✓✓ 3' HAIRPIN FOUND!`);
+        debugLog(`    stem="${stem}" loop=${loop} stem_len=${stemLen}`);
+        debugLog(`    3' end at position ${pos3PrimeFrom} to ${n}`);
+        debugLog(`    Upstream pair at position ${posUpstreamStart} to ${posUpstreamStart + stemLen}`);
         
         return {
           type: "3prime",
           stemSeq: stem,
           stemRC: rcStem,
+          pairedSeq: window,
           stemLength: stemLen,
           loopLength: loop,
+          dG: stemLoopDeltaG(primer, posUpstreamStart, stemLen, loop).dG,
+          mismatches: 0,
+          wobbles: 0,
           pos3PrimeStart: pos3PrimeFrom,
           pos3PrimeEnd: n,
           posUpstreamStart: posUpstreamStart,
@@ -69,7 +242,7 @@ function checkHairpin3Prime(primer, maxStem = 6, minStem = 2, maxLoop = 12) {
     }
   }
   
-  console.log(`  ✗ No 3' hairpin found`);
+  debugLog(`  ✗ No 3' hairpin found`);
   return null;
 }
 
@@ -80,14 +253,14 @@ function checkHairpin5Prime(primer, maxStem = 6, minStem = 2, maxLoop = 12) {
   // Focus on 5' end region
   const scanRegion = n > 15 ? primer.slice(0, 15) : primer;
   
-  console.log(`\n5' Hairpin check: ${primer}`);
-  console.log(`  Scan region (first 15bp): ${scanRegion}`);
+  debugLog(`\n5' Hairpin check: ${primer}`);
+  debugLog(`  Scan region (first 15bp): ${scanRegion}`);
 
   for (let stemLen = maxStem; stemLen >= minStem; stemLen--) {
     const stem = scanRegion.slice(0, stemLen); // 5' head
     const rcStem = revcomp(stem);
     
-    console.log(`  Checking stem_len=${stemLen}: stem="${stem}" rc="${rcStem}"`);
+    debugLog(`  Checking stem_len=${stemLen}: stem="${stem}" rc="${rcStem}"`);
 
     // Search downstream (avoid trivial overlap)
     const searchStart = stemLen;
@@ -101,17 +274,21 @@ function checkHairpin5Prime(primer, maxStem = 6, minStem = 2, maxLoop = 12) {
       const window = scanRegion.slice(start, end);
       
       if (window === rcStem) {
-        console.log(`  ✓✓ 5' HAIRPIN FOUND!`);
-        console.log(`    stem="${stem}" loop=${loop} stem_len=${stemLen}`);
-        console.log(`    5' end at position 0 to ${stemLen}`);
-        console.log(`    Downstream pair at position ${start} to ${end}`);
+        debugLog(`  ✓✓ 5' HAIRPIN FOUND!`);
+        debugLog(`    stem="${stem}" loop=${loop} stem_len=${stemLen}`);
+        debugLog(`    5' end at position 0 to ${stemLen}`);
+        debugLog(`    Downstream pair at position ${start} to ${end}`);
         
         return {
           type: "5prime",
           stemSeq: stem,
           stemRC: rcStem,
+          pairedSeq: window,
           stemLength: stemLen,
           loopLength: loop,
+          dG: stemLoopDeltaG(primer, 0, stemLen, loop).dG,
+          mismatches: 0,
+          wobbles: 0,
           pos5PrimeStart: 0,
           pos5PrimeEnd: stemLen,
           posDownstreamStart: start,
@@ -121,10 +298,228 @@ function checkHairpin5Prime(primer, maxStem = 6, minStem = 2, maxLoop = 12) {
     }
   }
   
-  console.log(`  ✗ No 5' hairpin found`);
+  debugLog(`  ✗ No 5' hairpin found`);
   return null;
 }
 
+/* -----------------------
+   Thermodynamic Hairpin Scoring (3' and 5' ends)
+   Same end windows as the exact checks, but stems may contain G·T
+   wobbles and up to maxMismatches unpaired positions. Every candidate
+   is scored with stemLoopDeltaG (thermo.js) and the most stable one
+   below maxDG is returned, in the same shape as the exact results
+------------------------ */
+const HAIRPIN_SCORING_DEFAULTS = {
+  scanLength: 15,
+  minStem: 3,
+  maxStem: 8,
+  maxLoop: 12,
+  maxMismatches: 1,
+  maxDG: 0
+};
+
+function scoreHairpin3Prime(primer, options = {}) {
+  const opts = { ...HAIRPIN_SCORING_DEFAULTS, ...options };
+  primer = primer.toUpperCase();
+  const n = primer.length;
+  const scanStart = Math.max(0, n - opts.scanLength);
+  let best = null;
+
+  debugLog(`\n3' Hairpin scoring: ${primer}`);
+
+  for (let stemLen = opts.maxStem; stemLen >= opts.minStem; stemLen--) {
+    const tailStart = n - stemLen;
+
+    for (let loop = 3; loop <= opts.maxLoop; loop++) {
+      const armStart = tailStart - loop - stemLen;
+      if (armStart < scanStart) break;
+
+      const score = stemLoopDeltaG(primer, armStart, stemLen, loop);
+      if (!score || score.mismatches > opts.maxMismatches) continue;
+      if (score.dG >= opts.maxDG || (best && score.dG >= best.dG)) continue;
+
+      best = {
+        type: "3prime",
+        stemSeq: primer.slice(tailStart),
+        stemRC: revcomp(primer.slice(tailStart)),
+        pairedSeq: primer.slice(armStart, armStart + stemLen),
+        stemLength: stemLen,
+        loopLength: loop,
+        dG: score.dG,
+        mismatches: score.mismatches,
+        wobbles: score.wobbles,
+        pos3PrimeStart: tailStart,
+        pos3PrimeEnd: n,
+        posUpstreamStart: armStart,
+        posUpstreamEnd: armStart + stemLen
+      };
+    }
+  }
+
+  if (best) {
+    debugLog(`  ✓✓ 3' HAIRPIN SCORED: stem=${best.stemLength} loop=${best.loopLength} ΔG=${best.dG.toFixed(2)}`);
+  } else {
+    debugLog(`  ✗ No stable 3' hairpin`);
+  }
+  return best;
+}
+
+function scoreHairpin5Prime(primer, options = {}) {
+  const opts = { ...HAIRPIN_SCORING_DEFAULTS, ...options };
+  primer = primer.toUpperCase();
+  const scanEnd = Math.min(primer.length, opts.scanLength);
+  let best = null;
+
+  debugLog(`\n5' Hairpin scoring: ${primer}`);
+
+  for (let stemLen = opts.maxStem; stemLen >= opts.minStem; stemLen--) {
+    for (let loop = 3; loop <= opts.maxLoop; loop++) {
+      const start = stemLen + loop;
+      const end = start + stemLen;
+      if (end > scanEnd) break;
+
+      const score = stemLoopDeltaG(primer, 0, stemLen, loop);
+      if (!score || score.mismatches > opts.maxMismatches) continue;
+      if (score.dG >= opts.maxDG || (best && score.dG >= best.dG)) continue;
+
+      best = {
+        type: "5prime",
+        stemSeq: primer.slice(0, stemLen),
+        stemRC: revcomp(primer.slice(0, stemLen)),
+        pairedSeq: primer.slice(start, end),
+        stemLength: stemLen,
+        loopLength: loop,
+        dG: score.dG,
+        mismatches: score.mismatches,
+        wobbles: score.wobbles,
+        pos5PrimeStart: 0,
+        pos5PrimeEnd: stemLen,
+        posDownstreamStart: start,
+        posDownstreamEnd: end
+      };
+    }
+  }
+
+  if (best) {
+    debugLog(`  ✓✓ 5' HAIRPIN SCORED: stem=${best.stemLength} loop=${best.loopLength} ΔG=${best.dG.toFixed(2)}`);
+  } else {
+    debugLog(`  ✗ No stable 5' hairpin`);
+  }
+  return best;
+}
+
+/* -----------------------
+   Full-Length Hairpin Scan
+   Slides over the whole primer (not just the 15bp end windows) and
+   lists every stem-loop with ΔG below maxDG. Positions are 0-indexed,
+   end-exclusive offsets into the primer:
+   - arm5Start/arm5End: upstream arm
+   - arm3Start/arm3End: downstream arm it folds back onto
+   Each hit is tagged "3prime" (downstream arm includes the 3' base),
+   "5prime" (upstream arm includes the 5' base) or "internal".
+   Only the most stable stem per fold axis is kept, so nested
+   sub-stems of one fold are not reported separately; every other
+   fold is listed, most stable first.
+   minStem is 4, not the end checks' 2: a 2-3bp stem anywhere in the
+   primer turns up by chance in nearly every oligo and is rarely stable
+   enough to fold, while at the 3'/5' end even a short stem can prime
+------------------------ */
+const HAIRPIN_SCAN_DEFAULTS = {
+  minStem: 4,
+  maxStem: 10,
+  maxLoop: 20,
+  maxMismatches: 0,
+  allowWobble: false,
+  maxDG: 0
+};
+
+function scanAllHairpins(primer, options = {}) {
+  const opts = { ...HAIRPIN_SCAN_DEFAULTS, ...options };
+  primer = primer.toUpperCase();
+  const n = primer.length;
+  const bestByAxis = {};
+
+  for (let armStart = 0; armStart < n; armStart++) {
+    for (let stemLen = opts.minStem; stemLen <= opts.maxStem; stemLen++) {
+      for (let loop = 3; loop <= opts.maxLoop; loop++) {
+        const arm3Start = armStart + stemLen + loop;
+        const arm3End = arm3Start + stemLen;
+        if (arm3End > n) break;
+
+        const score = stemLoopDeltaG(primer, armStart, stemLen, loop);
+        if (!score || score.dG >= opts.maxDG) continue;
+        if (score.mismatches > opts.maxMismatches) continue;
+        if (!opts.allowWobble && score.wobbles > 0) continue;
+
+        // Pairs (i, j) of one fold share i + j; keep the most stable stem
+        const axis = armStart + arm3End - 1;
+        if (bestByAxis[axis] && bestByAxis[axis].dG <= score.dG) continue;
+
+        let type = "internal";
+        if (arm3End === n) type = "3prime";
+        else if (armStart === 0) type = "5prime";
+
+        bestByAxis[axis] = {
+          type: type,
+          stemSeq: primer.slice(armStart, armStart + stemLen),
+          pairedSeq: primer.slice(arm3Start, arm3End),
+          stemLength: stemLen,
+          loopLength: loop,
+          dG: score.dG,
+          mismatches: score.mismatches,
+          wobbles: score.wobbles,
+          arm5Start: armStart,
+          arm5End: armStart + stemLen,
+          arm3Start: arm3Start,
+          arm3End: arm3End
+        };
+      }
+    }
+  }
+
+  const hits = Object.values(bestByAxis).sort((a, b) => a.dG - b.dG);
+
+  debugLog(`\nFull hairpin scan: ${primer} → ${hits.length} fold(s)`);
+  return hits;
+}
+
+/* -----------------------
+   Run Hairpin Detection on a Primer
+   mode "exact" uses the original exact-match search,
+   mode "thermo" uses ΔG scoring. Sets hairpin3, hairpin5, hasHairpin
+   and hairpinScan (full-length fold list, same tolerance as the mode)
+------------------------ */
+function analyzeHairpins(primer, mode = "exact") {
+  const hp3 = mode === "thermo" ? scoreHairpin3Prime(primer.seq) : checkHairpin3Prime(primer.seq);
+  const hp5 = mode === "thermo" ? scoreHairpin5Prime(primer.seq) : checkHairpin5Prime(primer.seq);
+
+  primer.hairpin3 = hp3;
+  primer.hairpin5 = hp5;
+  primer.hasHairpin = !!(hp3 || hp5);
+
+  primer.hairpinScan = scanAllHairpins(primer.seq, mode === "thermo"
+    ? { maxMismatches: HAIRPIN_SCORING_DEFAULTS.maxMismatches, allowWobble: true }
+    : {});
+}
+
+// True if a full-scan hit is the same fold as the reported 3'/5' end hairpin
+function isEndHairpinDuplicate(primer, hit) {
+  const hp3 = primer.hairpin3;
+  const hp5 = primer.hairpin5;
+  if (hp3 && hit.arm3End === hp3.pos3PrimeEnd &&
+      hit.arm5Start + hit.arm3End === hp3.posUpstreamStart + hp3.pos3PrimeEnd) return true;
+  if (hp5 && hit.arm5Start === hp5.pos5PrimeStart &&
+      hit.arm5Start + hit.arm3End === hp5.pos5PrimeStart + hp5.posDownstreamEnd) return true;
+  return false;
+}
+
+// Hairpins of a primer ordered most stable (lowest ΔG) first
+function rankHairpins(primer) {
+  return [primer.hairpin3, primer.hairpin5]
+    .filter(Boolean)
+    .sort((a, b) => a.dG - b.dG);
+}
+
 /* -----------------------
    Split FIP/BIP into F1c+F2 or B1c+B2
    FIP = F1c-spacer-F2 (F2 binds forward, F1c binds as RC)
@@ -133,80 +528,145 @@ function checkHairpin5Prime(primer, maxStem = 6, minStem = 2, maxLoop = 12) {
    Strategy: Try all possible splits, for each split:
    - Check if right part binds forward on gene
    - Check if left part's RC binds on gene
+   A split found in the reverse order (5' part forward, 3' part as RC)
+   keeps left = RC-binding part and sets reversed, so the sequence is
+   right + left (see innerPrimerParts)
 ------------------------ */
-function splitInnerPrimer(innerPrimer, gene, isFIP) {
+function splitInnerPrimer(innerPrimer, gene, isFIP, maxMismatches = 0, circular = false) {
   const seq = innerPrimer.toUpperCase();
   
-  console.log(`\n=== Splitting ${isFIP ? 'FIP' : 'BIP'} ===`);
-  console.log(`Full sequence: ${seq}`);
-  console.log(`Length: ${seq.length}`);
+  debugLog(`\n=== Splitting ${isFIP ? 'FIP' : 'BIP'} ===`);
+  debugLog(`Full sequence: ${seq}`);
+  debugLog(`Length: ${seq.length}`);
+  
+  // Exact (or IUPAC) binding first; mismatches only if no clean split exists
+  const tolerances = maxMismatches > 0 ? [0, maxMismatches] : [0];
   
-  // Try different split points - right part between 15-35 bases
-  for (let rightLen = 15; rightLen <= 35 && rightLen < seq.length - 10; rightLen++) {
-    const leftPart = seq.slice(0, seq.length - rightLen);  // F1c or B1c
-    const rightPart = seq.slice(seq.length - rightLen);     // F2 or B2
+  for (const tolerance of tolerances) {
+    // Right part (F2/B2) carries the FIP/BIP 3' end; left part has none
+    const rightOpts = { maxMismatches: tolerance, threePrime: "end", circular };
+    const leftOpts = { maxMismatches: tolerance, circular };
+    // With mismatches allowed, many split points may fit; keep the one
+    // with the lowest combined score (within the limit for the whole primer)
+    let best = null;
     
-    // Check if right part binds forward on gene
-    const rightIdx = gene.indexOf(rightPart);
+    // Try different split points - right part between 15-35 bases
+    for (let rightLen = 15; rightLen <= 35 && rightLen < seq.length - 10; rightLen++) {
+      const leftPart = seq.slice(0, seq.length - rightLen);  // F1c or B1c
+      const rightPart = seq.slice(seq.length - rightLen);     // F2 or B2
     
-    if (rightIdx !== -1) {
-      // Found right part! Now check if left part's RC is on gene
-      const leftRC = revcomp(leftPart);
-      const leftIdx = gene.indexOf(leftRC);
+      // Check if right part binds forward on gene
+      const rightHit = locateSequence(gene, rightPart, rightOpts);
+      const rightIdx = rightHit ? rightHit.index : -1;
+    
+      if (rightIdx !== -1) {
+        // Found right part! Now check if left part's RC is on gene
+        const leftRC = revcomp(leftPart);
+        const leftHit = locateSequence(gene, leftRC, leftOpts);
+        const leftIdx = leftHit ? leftHit.index : -1;
       
-      if (leftIdx !== -1) {
-        console.log(`✓ Found valid split!`);
-        console.log(`  Left part (${isFIP ? 'F1c' : 'B1c'}): ${leftPart}`);
-        console.log(`  Left RC found at: ${leftIdx}`);
-        console.log(`  Right part (${isFIP ? 'F2' : 'B2'}): ${rightPart}`);
-        console.log(`  Right found at: ${rightIdx}`);
+        if (leftIdx !== -1) {
+          debugLog(`✓ Found valid split!`);
+          debugLog(`  Left part (${isFIP ? 'F1c' : 'B1c'}): ${leftPart}`);
+          debugLog(`  Left RC found at: ${leftIdx}`);
+          debugLog(`  Right part (${isFIP ? 'F2' : 'B2'}): ${rightPart}`);
+          debugLog(`  Right found at: ${rightIdx}`);
         
-        return {
-          found: true,
-          left: leftPart,
-          right: rightPart,
-          leftType: isFIP ? "F1c" : "B1c",
-          rightType: isFIP ? "F2" : "B2",
-          leftStart: leftIdx,
-          leftEnd: leftIdx + leftPart.length,
-          rightStart: rightIdx,
-          rightEnd: rightIdx + rightPart.length
-        };
+          const split = {
+            found: true,
+            left: leftPart,
+            right: rightPart,
+            leftType: isFIP ? "F1c" : "B1c",
+            rightType: isFIP ? "F2" : "B2",
+            leftStart: leftIdx,
+            leftEnd: leftIdx + leftPart.length,
+            rightStart: rightIdx,
+            rightEnd: rightIdx + rightPart.length,
+            // Ambiguous offsets are within the left/right part sequences
+            leftAmbiguous: leftHit.ambiguous.map(k => leftPart.length - 1 - k),
+            rightAmbiguous: rightHit.ambiguous,
+            // Mismatch offsets use the same frame as the ambiguous ones
+            leftMismatches: leftHit.mismatches.map(k => leftPart.length - 1 - k),
+            rightMismatches: rightHit.mismatches,
+            mismatchScore: leftHit.mismatchScore + rightHit.mismatchScore,
+            reversed: false
+          };
+          if (tolerance === 0) return split;
+          if (split.mismatchScore <= tolerance && (!best || split.mismatchScore < best.mismatchScore)) {
+            best = split;
+          }
+        }
       }
-    }
     
-    // Also try the reverse order: left part binds forward, right part as RC
-    const leftIdx2 = gene.indexOf(leftPart);
-    if (leftIdx2 !== -1) {
-      const rightRC = revcomp(rightPart);
-      const rightIdx2 = gene.indexOf(rightRC);
+      // Also try the reverse order: left part binds forward, right part as RC
+      const leftHit2 = locateSequence(gene, leftPart, leftOpts);
+      const leftIdx2 = leftHit2 ? leftHit2.index : -1;
+      if (leftIdx2 !== -1) {
+        const rightRC = revcomp(rightPart);
+        const rightHit2 = locateSequence(gene, rightRC, { maxMismatches: tolerance, threePrime: "start", circular });
+        const rightIdx2 = rightHit2 ? rightHit2.index : -1;
       
-      if (rightIdx2 !== -1) {
-        console.log(`✓ Found valid split (reversed binding)!`);
-        console.log(`  Left part (${isFIP ? 'F2' : 'B2'}): ${leftPart}`);
-        console.log(`  Left found at: ${leftIdx2}`);
-        console.log(`  Right part (${isFIP ? 'F1c' : 'B1c'}): ${rightPart}`);
-        console.log(`  Right RC found at: ${rightIdx2}`);
+        if (rightIdx2 !== -1) {
+          debugLog(`✓ Found valid split (reversed binding)!`);
+          debugLog(`  Left part (${isFIP ? 'F1c' : 'B1c'}): ${leftPart}`);
+          debugLog(`  Left found at: ${leftIdx2}`);
+          debugLog(`  Right part (${isFIP ? 'F2' : 'B2'}): ${rightPart}`);
+          debugLog(`  Right RC found at: ${rightIdx2}`);
         
-        return {
-          found: true,
-          left: rightPart,  // Swap them
-          right: leftPart,
-          leftType: isFIP ? "F1c" : "B1c",
-          rightType: isFIP ? "F2" : "B2",
-          leftStart: rightIdx2,
-          leftEnd: rightIdx2 + rightPart.length,
-          rightStart: leftIdx2,
-          rightEnd: leftIdx2 + leftPart.length
-        };
+          const split = {
+            found: true,
+            left: rightPart,  // Swap them
+            right: leftPart,
+            // The 5' part is always F1c/B1c, so after the swap the RC-binding
+            // left part is F2/B2 (the usual case for BIP = B1c + B2)
+            leftType: isFIP ? "F2" : "B2",
+            rightType: isFIP ? "F1c" : "B1c",
+            leftStart: rightIdx2,
+            leftEnd: rightIdx2 + rightPart.length,
+            rightStart: leftIdx2,
+            rightEnd: leftIdx2 + leftPart.length,
+            leftAmbiguous: rightHit2.ambiguous.map(k => rightPart.length - 1 - k),
+            rightAmbiguous: leftHit2.ambiguous,
+            leftMismatches: rightHit2.mismatches.map(k => rightPart.length - 1 - k),
+            rightMismatches: leftHit2.mismatches,
+            mismatchScore: rightHit2.mismatchScore + leftHit2.mismatchScore,
+            reversed: true
+          };
+          if (tolerance === 0) return split;
+          if (split.mismatchScore <= tolerance && (!best || split.mismatchScore < best.mismatchScore)) {
+            best = split;
+          }
+        }
       }
     }
+    
+    if (best) {
+      debugLog(`✓ Found split with mismatch score ${best.mismatchScore}`);
+      return best;
+    }
   }
   
-  console.log(`✗ No valid split found`);
+  debugLog(`✗ No valid split found`);
   return { found: false };
 }
 
+// FIP/BIP parts in 5'→3' order along p.seq, each with its offset in
+// the sequence: [{ seq, type, start, end, offset, bindsAsRC }]. The
+// RC-binding left part comes first unless the split was reversed
+function innerPrimerParts(p) {
+  const left = { seq: p.left, type: p.leftType, start: p.leftStart, end: p.leftEnd, bindsAsRC: true };
+  const right = { seq: p.right, type: p.rightType, start: p.rightStart, end: p.rightEnd, bindsAsRC: false };
+  const parts = p.splitReversed ? [right, left] : [left, right];
+  parts[0].offset = 0;
+  parts[1].offset = parts[0].seq.length;
+  return parts;
+}
+
+// Full FIP/BIP sequence from (edited) parts, in the primer's part order
+function joinInnerParts(p, left, right) {
+  return p.splitReversed ? right + left : left + right;
+}
+
 /* -----------------------
    Cross-Dimer Detection
    Checks for 3' end complementarity between two primers
@@ -268,14 +728,206 @@ function checkDimer(p1Name, p1Seq, p2Name, p2Seq, minMatch = 3) {
 }
 
 /* -----------------------
-   Check All Cross-Dimers
-   Analyzes all primer pairs for potential dimerization
+   Self-Dimer Detection
+   Same 3' end logic as checkDimer, with both molecules being copies
+   of one primer. Only one direction is reported since p1→p2 and
+   p2→p1 are identical for a self-dimer
 ------------------------ */
-function checkAllDimers(primers) {
+function checkSelfDimer(name, seq, minMatch = 3) {
+  const dimers = checkDimer(name, seq, name, seq, minMatch)
+    .filter(d => d.direction === "p1_to_p2");
+  
+  dimers.forEach(d => {
+    d.direction = "self";
+    d.isSelf = true;
+  });
+  
+  return dimers;
+}
+
+/* -----------------------
+   Duplex Diagram
+   Two-line base-pairing picture of a duplex, seq1 on top (5'→3')
+   and seq2 underneath (3'→5'): "|" Watson-Crick, ":" G·T wobble,
+   blank for mismatches, "-" opposite a bulge
+------------------------ */
+function formatDuplexDiagram(seq1, seq2, pairs) {
+  const rev2 = seq2.split("").reverse().join("");
+  const m = seq2.length;
+  const top = [];
+  const mid = [];
+  const bottom = [];
+
+  // Overhangs before the first pair, right-aligned
+  const [i0, j0] = pairs[0];
+  const r0 = m - 1 - j0;
+  const lead = Math.max(i0, r0);
+
+  pairs.forEach(([i, j], k) => {
+    if (k > 0) {
+      const [pi, pj] = pairs[k - 1];
+      const di = i - pi - 1;
+      const dj = pj - j - 1;
+      for (let c = 0; c < Math.max(di, dj); c++) {
+        top.push(c < di ? seq1[pi + 1 + c] : "-");
+        bottom.push(c < dj ? rev2[m - pj + c] : "-");
+        mid.push(" ");
+      }
+    }
+    top.push(seq1[i]);
+    bottom.push(rev2[m - 1 - j]);
+    mid.push(pairType(seq1[i], seq2[j]) === "wc" ? "|" : ":");
+  });
+
+  // Overhangs after the last pair, left-aligned
+  const [iEnd, jEnd] = pairs[pairs.length - 1];
+  const topTail = seq1.slice(iEnd + 1);
+  const bottomTail = rev2.slice(m - jEnd);
+
+  return {
+    top: " ".repeat(lead - i0) + "5'-" + seq1.slice(0, i0) + top.join("") + topTail + "-3'",
+    mid: " ".repeat(lead + 3) + mid.join(""),
+    bottom: " ".repeat(lead - r0) + "3'-" + rev2.slice(0, r0) + bottom.join("") + bottomTail + "-5'"
+  };
+}
+
+/* -----------------------
+   Build a Dimer Result from Duplex Pairs
+   Works out whether either primer's 3' end is paired with template
+   left over beyond it (extendable by polymerase), and counts
+   mismatches, wobbles and bulges for display
+------------------------ */
+function buildDimer(p1Name, p1Seq, p2Name, p2Seq, pairs, dG) {
+  p1Seq = p1Seq.toUpperCase();
+  p2Seq = p2Seq.toUpperCase();
+  const [firstI, firstJ] = pairs[0];
+  const [lastI, lastJ] = pairs[pairs.length - 1];
+
+  let mismatches = 0;
+  let bulges = 0;
+  let wobbles = 0;
+  pairs.forEach(([i, j], k) => {
+    if (pairType(p1Seq[i], p2Seq[j]) === "wobble") wobbles++;
+    if (k === 0) return;
+    const [pi, pj] = pairs[k - 1];
+    const di = i - pi - 1;
+    const dj = pj - j - 1;
+    mismatches += Math.min(di, dj);
+    bulges += Math.abs(di - dj);
+  });
+
+  const extendable1 = lastI === p1Seq.length - 1 && lastJ > 0 &&
+    pairType(p1Seq[lastI], p2Seq[lastJ]) === "wc";
+  const extendable2 = firstJ === p2Seq.length - 1 && firstI > 0 &&
+    pairType(p1Seq[firstI], p2Seq[firstJ]) === "wc";
+  const isSelf = p1Name === p2Name;
+
+  return {
+    primer1: p1Name,
+    primer2: p2Name,
+    isSelf: isSelf,
+    direction: isSelf ? "self" : "cross",
+    dG: dG,
+    pairs: pairs,
+    matchLength: pairs.length,
+    mismatches: mismatches,
+    wobbles: wobbles,
+    bulges: bulges,
+    extendable1: extendable1,
+    extendable2: extendable2,
+    threePrimeExtendable: extendable1 || extendable2,
+    diagram: formatDuplexDiagram(p1Seq, p2Seq, pairs)
+  };
+}
+
+/* -----------------------
+   Alignment-Based Dimer Detection
+   Aligns two primers (or a primer with itself) as an antiparallel
+   duplex with mismatches, wobbles and bulges (alignDuplex, thermo.js).
+   Reports the most stable duplex overall plus the most stable one
+   with an extendable 3' end on either primer, if different, as long
+   as ΔG is at or below maxDG
+------------------------ */
+const DIMER_ALIGN_DEFAULTS = {
+  maxDG: -3.0,
+  minPairs: 3
+};
+
+function alignDimer(p1Name, p1Seq, p2Name, p2Seq, options = {}) {
+  const opts = { ...DIMER_ALIGN_DEFAULTS, ...options };
+  const forward = alignDuplex(p1Seq, p2Seq, opts.minPairs);
+  const candidates = [forward.best, forward.best3Prime];
+
+  // p2's extendable 3' end: align the other way round, then swap back
+  if (p1Name !== p2Name) {
+    const reverse = alignDuplex(p2Seq, p1Seq, opts.minPairs);
+    if (reverse.best3Prime) {
+      candidates.push({
+        dG: reverse.best3Prime.dG,
+        pairs: reverse.best3Prime.pairs.map(([i, j]) => [j, i]).reverse()
+      });
+    }
+  }
+
+  const seen = new Set();
+  const dimers = [];
+  candidates.forEach(duplex => {
+    if (!duplex || duplex.dG > opts.maxDG) return;
+    const key = duplex.pairs.map(pair => pair.join(",")).join(";");
+    if (seen.has(key)) return;
+    seen.add(key);
+    dimers.push(buildDimer(p1Name, p1Seq, p2Name, p2Seq, duplex.pairs, duplex.dG));
+  });
+
+  return dimers;
+}
+
+/* -----------------------
+   Convert an Exact 3' End Hit (checkDimer) to Duplex Form
+   primer1's last matchLength bases pair with primer2 starting at
+   bindingPos, so the table can show ΔG and a diagram for both modes
+------------------------ */
+function exactDimerToDuplex(hit, p1Seq, p2Seq) {
+  const n = p1Seq.length;
+  const pairs = [];
+  for (let k = 0; k < hit.matchLength; k++) {
+    pairs.push([n - hit.matchLength + k, hit.bindingPos + hit.matchLength - 1 - k]);
+  }
+
+  const dimer = buildDimer(hit.primer1, p1Seq, hit.primer2, p2Seq, pairs,
+    scoreDuplexPairs(p1Seq, p2Seq, pairs));
+  dimer.direction = hit.direction;
+  return dimer;
+}
+
+/* -----------------------
+   Check All Dimers
+   Analyzes every primer against itself (self-dimers) and all
+   primer pairs (cross-dimers) for potential dimerization.
+   mode "alignment" uses duplex alignment with ΔG (default),
+   mode "exact" uses the 3' end exact-match search.
+   onProgress({ stage: "dimers", done, total }) once per primer
+------------------------ */
+function checkAllDimers(primers, mode = "alignment", onProgress = () => {}) {
   const allDimers = [];
   
+  // Look up a primer's sequence by name (exact hits report names only)
+  const seqOf = name => primers.find(p => p.name === name).seq.toUpperCase();
+  
+  // Self-dimers (each primer against a second copy of itself)
+  primers.forEach(p => {
+    if (mode === "exact") {
+      checkSelfDimer(p.name, p.seq).forEach(hit => {
+        allDimers.push(exactDimerToDuplex(hit, seqOf(hit.primer1), seqOf(hit.primer2)));
+      });
+    } else {
+      allDimers.push(...alignDimer(p.name, p.seq, p.name, p.seq));
+    }
+  });
+  
   // Check all unique pairs (i, j where i < j)
   for (let i = 0; i < primers.length; i++) {
+    onProgress({ stage: "dimers", done: i, total: primers.length });
     for (let j = i + 1; j < primers.length; j++) {
       const p1 = primers[i];
       const p2 = primers[j];
@@ -284,90 +936,338 @@ function checkAllDimers(primers) {
       const p1Seq = p1.seq;
       const p2Seq = p2.seq;
       
-      const dimers = checkDimer(p1.name, p1Seq, p2.name, p2Seq);
-      
-      if (dimers.length > 0) {
-        allDimers.push(...dimers);
+      if (mode === "exact") {
+        checkDimer(p1.name, p1Seq, p2.name, p2Seq).forEach(hit => {
+          allDimers.push(exactDimerToDuplex(hit, seqOf(hit.primer1), seqOf(hit.primer2)));
+        });
+      } else {
+        allDimers.push(...alignDimer(p1.name, p1Seq, p2.name, p2Seq));
       }
     }
   }
+  onProgress({ stage: "dimers", done: primers.length, total: primers.length });
   
   return allDimers;
 }
 
+/* -----------------------
+   Binding Sites
+   A primer can bind more than once: on both strands, inside a repeat,
+   or (with mismatches allowed) at similar off-target sequence. Every
+   site is kept in primer.bindingSites; primer.siteIndex marks the
+   intended one and the rest are reported as off-target.
+   Regular site: { key, orientation, start, end, ambiguous, mismatches, mismatchScore }
+   FIP/BIP site: { key, leftStart, leftEnd, rightStart, rightEnd, ambiguous, mismatches, mismatchScore }
+   Offsets in ambiguous/mismatches are within the primer (left + right).
+   FIP/BIP part sites pair up combinatorially on repeat-rich templates:
+   at most MAX_INNER_SITE_PAIRS pairs are kept, and
+   primer.bindingSitesTotal counts every pair found
+------------------------ */
+const MAX_INNER_SITE_PAIRS = 50;
+
+function findBindingSites(gene, seq, maxMismatches = 0, circular = false) {
+  const len = seq.length;
+  const rcSeq = revcomp(seq);
+  
+  const forward = locateAllSequences(gene, seq, { maxMismatches, threePrime: "end", circular })
+    .map(hit => ({
+      key: `forward:${hit.index}`,
+      orientation: "forward",
+      start: hit.index,
+      end: hit.index + len,
+      ambiguous: hit.ambiguous,
+      mismatches: hit.mismatches,
+      mismatchScore: hit.mismatchScore
+    }));
+  
+  // Palindromic primers bind both strands at the same place - list once
+  const reverse = rcSeq === seq ? [] : locateAllSequences(gene, rcSeq, { maxMismatches, threePrime: "start", circular })
+    .map(hit => ({
+      key: `reverse:${hit.index}`,
+      orientation: "reverse (RC)",
+      start: hit.index,
+      end: hit.index + len,
+      // Offsets in the RC back to offsets in the primer itself
+      ambiguous: hit.ambiguous.map(k => len - 1 - k),
+      mismatches: hit.mismatches.map(k => len - 1 - k),
+      mismatchScore: hit.mismatchScore
+    }));
+  
+  return [...forward, ...reverse].sort((a, b) => a.start - b.start);
+}
+
+// Left part (F1c/B1c) binds as RC, right part (F2/B2) forward.
+// Every pairing of a left site with a right site is a candidate.
+// reversed: the split put the left part at the 3' end (right + left),
+// which moves the 3' end weighting and the offsets in the sequence.
+// Returns { sites, total }: over the cap, the pairs LAMP geometry
+// ranks first (fewest mismatches, then parts closest together) are
+// kept, listed in template order
+function findInnerBindingSites(gene, left, right, maxMismatches = 0, circular = false, reversed = false) {
+  const leftHits = locateAllSequences(gene, revcomp(left), { maxMismatches, threePrime: reversed ? "start" : undefined, circular });
+  const rightHits = locateAllSequences(gene, right, { maxMismatches, threePrime: reversed ? undefined : "end", circular });
+  const leftOffset = reversed ? right.length : 0;
+  const rightOffset = reversed ? 0 : left.length;
+  const pairs = [];
+  
+  for (const lh of leftHits) {
+    for (const rh of rightHits) {
+      const score = lh.mismatchScore + rh.mismatchScore;
+      if (score > maxMismatches) continue;
+      const span = Math.max(lh.index + left.length, rh.index + right.length) - Math.min(lh.index, rh.index);
+      pairs.push({ lh, rh, score, span });
+    }
+  }
+  
+  const kept = pairs.length <= MAX_INNER_SITE_PAIRS ? pairs : pairs
+    .slice()
+    .sort((a, b) => a.score - b.score || a.span - b.span)
+    .slice(0, MAX_INNER_SITE_PAIRS)
+    .sort((a, b) => a.lh.index - b.lh.index || a.rh.index - b.rh.index);
+  
+  const sites = kept.map(({ lh, rh, score }) => ({
+    key: `${lh.index}-${rh.index}`,
+    leftStart: lh.index,
+    leftEnd: lh.index + left.length,
+    rightStart: rh.index,
+    rightEnd: rh.index + right.length,
+    ambiguous: [
+      ...lh.ambiguous.map(k => leftOffset + left.length - 1 - k),
+      ...rh.ambiguous.map(k => rightOffset + k)
+    ],
+    mismatches: [
+      ...lh.mismatches.map(k => leftOffset + left.length - 1 - k),
+      ...rh.mismatches.map(k => rightOffset + k)
+    ],
+    mismatchScore: score
+  }));
+  return { sites, total: pairs.length };
+}
+
+function siteCenter(site) {
+  if (site.leftStart !== undefined) {
+    return (Math.min(site.leftStart, site.rightStart) + Math.max(site.leftEnd, site.rightEnd)) / 2;
+  }
+  return (site.start + site.end) / 2;
+}
+
+// Distance covered by both FIP/BIP parts (0 for regular primers)
+function siteSpan(site) {
+  if (site.leftStart === undefined) return 0;
+  return Math.max(site.leftEnd, site.rightEnd) - Math.min(site.leftStart, site.rightStart);
+}
+
+/* -----------------------
+   Intended Site Selection
+   selections maps primer name -> site key chosen by the user.
+   Otherwise LAMP geometry decides: all primers of a set sit within
+   one short amplicon, so the fewest mismatches win first, then the
+   strand the primer type binds in LAMP (F3/F2/LB forward, B3/B2/LF
+   reverse), then FIP/BIP parts that lie close together, then the site
+   nearest the primers that bind only once (or the user pinned).
+   Falls back to template order
+------------------------ */
+const EXPECTED_ORIENTATION = {
+  F3: "forward",
+  F2: "forward",
+  LB: "forward",
+  LOOPB: "forward",
+  B3: "reverse (RC)",
+  B2: "reverse (RC)",
+  LF: "reverse (RC)",
+  LOOPF: "reverse (RC)"
+};
+
+function chooseIntendedSites(primers, selections = {}) {
+  const centers = [];
+  
+  primers.forEach(p => {
+    p.siteIndex = 0;
+    const chosen = p.bindingSites.findIndex(site => site.key === selections[p.name]);
+    p.siteSelectedByUser = chosen !== -1;
+    if (chosen !== -1) p.siteIndex = chosen;
+    if (chosen !== -1 || p.bindingSites.length === 1) {
+      centers.push(siteCenter(p.bindingSites[p.siteIndex]));
+    }
+  });
+  
+  centers.sort((a, b) => a - b);
+  const mid = Math.floor(centers.length / 2);
+  const anchor = centers.length === 0 ? null
+    : centers.length % 2 === 1 ? centers[mid]
+    : (centers[mid - 1] + centers[mid]) / 2;
+  
+  primers.forEach(p => {
+    if (p.siteSelectedByUser || p.bindingSites.length < 2) return;
+    
+    const expected = EXPECTED_ORIENTATION[p.name.toUpperCase()];
+    const wrongStrand = site => (expected && site.orientation !== expected) ? 1 : 0;
+    const ranked = p.bindingSites
+      .map((site, idx) => ({ site, idx }))
+      .sort((a, b) =>
+        a.site.mismatchScore - b.site.mismatchScore ||
+        wrongStrand(a.site) - wrongStrand(b.site) ||
+        siteSpan(a.site) - siteSpan(b.site) ||
+        (anchor === null ? 0 : Math.abs(siteCenter(a.site) - anchor) - Math.abs(siteCenter(b.site) - anchor)) ||
+        a.idx - b.idx
+      );
+    p.siteIndex = ranked[0].idx;
+  });
+}
+
+// Set position fields from a binding site (undefined = not found)
+function applyBindingSite(p, site) {
+  if (p.isInner) {
+    p.leftStart = site.leftStart;
+    p.leftEnd = site.leftEnd;
+    p.rightStart = site.rightStart;
+    p.rightEnd = site.rightEnd;
+  } else if (site) {
+    p.start = site.start;
+    p.end = site.end;
+    p.orientation = site.orientation;
+  } else {
+    p.start = -1;
+    p.end = -1;
+    p.orientation = "not found";
+  }
+  p.ambiguousPositions = site ? site.ambiguous : [];
+  p.mismatchPositions = site ? site.mismatches : [];
+  p.mismatchScore = site ? site.mismatchScore : 0;
+}
+
+// After a boundary edit (or a site picked in the table) the primer
+// sits where the user put it, possibly with a new sequence: search its
+// sites again and mark the one under its current position as intended
+// (siteIndex -1 when it sits on none)
+function relocateBindingSites(gene, p, settings = {}) {
+  gene = gene.toUpperCase();
+  const maxMismatches = settings.maxMismatches || 0;
+  const circular = !!settings.circular;
+  
+  let current;
+  if (p.isInner) {
+    const found = findInnerBindingSites(gene, p.left, p.right, maxMismatches, circular, p.splitReversed);
+    p.bindingSites = found.sites;
+    p.bindingSitesTotal = found.total;
+    current = `${p.leftStart}-${p.rightStart}`;
+  } else {
+    p.bindingSites = findBindingSites(gene, p.seq, maxMismatches, circular);
+    current = `${p.orientation === "forward" ? "forward" : "reverse"}:${p.start}`;
+  }
+  p.siteIndex = p.bindingSites.findIndex(site => site.key === current);
+  p.siteSelectedByUser = true;
+}
+
+// Template ranges of every site other than the intended one, as
+// [{ start, end, part, siteNumber }] (part is F1c/F2 etc. for FIP/BIP).
+// FIP/BIP parts shared with the intended site are not repeated
+function offTargetRanges(p) {
+  const sites = p.bindingSites || [];
+  const intended = sites[p.siteIndex];
+  if (!intended) return [];
+  
+  const seen = new Set();
+  const ranges = [];
+  const add = (start, end, part, siteNumber) => {
+    const id = `${part}:${start}`;
+    if (seen.has(id)) return;
+    seen.add(id);
+    ranges.push({ start, end, part, siteNumber });
+  };
+  
+  if (p.isInner) {
+    seen.add(`${p.leftType}:${intended.leftStart}`);
+    seen.add(`${p.rightType}:${intended.rightStart}`);
+  }
+  
+  sites.forEach((site, idx) => {
+    if (idx === p.siteIndex) return;
+    if (p.isInner) {
+      add(site.leftStart, site.leftEnd, p.leftType, idx + 1);
+      add(site.rightStart, site.rightEnd, p.rightType, idx + 1);
+    } else {
+      add(site.start, site.end, null, idx + 1);
+    }
+  });
+  return ranges;
+}
+
 /* -----------------------
    Attach Primer Positions to Gene
-   Finds where each primer binds and detects hairpins
+   Finds where each primer binds and detects hairpins.
+   onProgress({ stage, done, total }) per primer while locating
+   ("sites") and analyzing ("hairpins") them, then per dimer row;
+   every stage ends with done === total
 ------------------------ */
-function attachPrimerPositions(gene, primers) {
+function attachPrimerPositions(gene, primers, settings = {}, onProgress = () => {}) {
   gene = gene.toUpperCase();
+  const hairpinMode = settings.hairpinMode || "exact";
+  const dimerMode = settings.dimerMode || "alignment";
+  const maxMismatches = settings.maxMismatches || 0;
+  const circular = !!settings.circular;
 
-  for (let p of primers) {
+  // Pass 1: every place each primer could bind
+  for (let [idx, p] of primers.entries()) {
+    onProgress({ stage: "sites", done: idx, total: primers.length });
     // Check for FIP/BIP
     const isFIP = p.name.toUpperCase() === "FIP";
     const isBIP = p.name.toUpperCase() === "BIP";
 
     if (isFIP || isBIP) {
-      const split = splitInnerPrimer(p.seq, gene, isFIP);
+      const split = splitInnerPrimer(p.seq, gene, isFIP, maxMismatches, circular);
+      p.isInner = true;
       
       if (split.found) {
-        p.isInner = true;
         p.left = split.left;
         p.right = split.right;
         p.leftType = split.leftType;
         p.rightType = split.rightType;
-        p.leftStart = split.leftStart;
-        p.leftEnd = split.leftEnd;
-        p.rightStart = split.rightStart;
-        p.rightEnd = split.rightEnd;
-        
-        // Hairpin detection on full sequence
-        const hp3 = checkHairpin3Prime(p.seq);
-        const hp5 = checkHairpin5Prime(p.seq);
-        
-        p.hairpin3 = hp3;
-        p.hairpin5 = hp5;
-        p.hasHairpin = !!(hp3 || hp5);
-        
-        continue;
+        p.splitReversed = split.reversed;
+        const found = findInnerBindingSites(gene, split.left, split.right, maxMismatches, circular, split.reversed);
+        p.bindingSites = found.sites;
+        p.bindingSitesTotal = found.total;
       } else {
-        p.isInner = true;
         p.orientation = "not split";
-        p.start = -1;
-        p.end = -1;
-        continue;
+        p.bindingSites = [];
       }
+      continue;
     }
 
-    // Regular primer: find forward or reverse complement
-    const forwardIdx = gene.indexOf(p.seq);
-    const rcSeq = revcomp(p.seq);
-    const reverseIdx = gene.indexOf(rcSeq);
-
-    if (forwardIdx !== -1) {
-      p.start = forwardIdx;
-      p.end = forwardIdx + p.seq.length;
-      p.orientation = "forward";
-    } else if (reverseIdx !== -1) {
-      p.start = reverseIdx;
-      p.end = reverseIdx + p.seq.length;
-      p.orientation = "reverse (RC)";
-    } else {
+    // Regular primer: forward and reverse complement sites
+    // (IUPAC codes in gene or primer count as partial matches)
+    p.bindingSites = findBindingSites(gene, p.seq, maxMismatches, circular);
+  }
+  onProgress({ stage: "sites", done: primers.length, total: primers.length });
+  
+  // Pass 2: pick the intended site of primers that bind more than once
+  chooseIntendedSites(primers, settings.siteSelections || {});
+
+  // Pass 3: place each primer at its intended site and analyze it
+  for (let [idx, p] of primers.entries()) {
+    onProgress({ stage: "hairpins", done: idx, total: primers.length });
+    if (p.isInner && p.bindingSites.length === 0) {
+      p.orientation = "not split";
       p.start = -1;
       p.end = -1;
-      p.orientation = "not found";
+      p.mismatchPositions = [];
+      continue;
     }
+    
+    applyBindingSite(p, p.bindingSites[p.siteIndex]);
 
     // Hairpin detection - check the full sequence (for FIP/BIP, this is the combined sequence)
-    const hp3 = checkHairpin3Prime(p.seq);
-    const hp5 = checkHairpin5Prime(p.seq);
+    analyzeHairpins(p, hairpinMode);
+
+    // Melting temperature (nearest-neighbor, see thermo.js; FIP/BIP per part)
+    updatePrimerTm(p);
 
-    p.hairpin3 = hp3;
-    p.hairpin5 = hp5;
-    p.hasHairpin = !!(hp3 || hp5);
+    // GC content, end stability, runs, repeats, GC clamp (see composition.js)
+    updatePrimerComposition(p);
   }
+  onProgress({ stage: "hairpins", done: primers.length, total: primers.length });
   
-  // Check for cross-dimers between all primers
-  const dimers = checkAllDimers(primers);
+  // Check for self- and cross-dimers between all primers
+  const dimers = checkAllDimers(primers, dimerMode, onProgress);
   return dimers;
 }
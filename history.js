@@ -0,0 +1,97 @@
+/* ================================================================
+   HISTORY.JS - Undo/Redo History for Boundary Edits
+   Contains: primer snapshots, before/after status of an edit, the
+             undo/redo stacks
+   Works on primer objects only, no DOM access (panel in ui.js)
+   ================================================================ */
+
+/* -----------------------
+   Primer Snapshots
+   Everything a boundary edit changes, including the regenerated
+   FIP/BIP left/right parts. Hairpins, Tm and dimers are not stored:
+   they are recomputed from these fields when a snapshot is restored
+------------------------ */
+const HISTORY_LIMIT = 100;
+
+const PRIMER_STATE_FIELDS = [
+  "seq", "start", "end", "orientation",
+  "left", "right", "leftStart", "leftEnd", "rightStart", "rightEnd",
+  "ambiguousPositions", "mismatchPositions", "mismatchScore"
+];
+
+function snapshotPrimer(primer) {
+  const snapshot = {};
+  PRIMER_STATE_FIELDS.forEach(field => {
+    const value = primer[field];
+    snapshot[field] = Array.isArray(value) ? value.slice() : value;
+  });
+  return snapshot;
+}
+
+function restorePrimer(primer, snapshot) {
+  PRIMER_STATE_FIELDS.forEach(field => {
+    const value = snapshot[field];
+    primer[field] = Array.isArray(value) ? value.slice() : value;
+  });
+}
+
+// Template range of a primer (part: "left"/"right" for FIP/BIP) in a
+// snapshot; both parts of a FIP/BIP moved together (a new binding site)
+function snapshotRange(snapshot, part) {
+  if (part) return { start: snapshot[`${part}Start`], end: snapshot[`${part}End`] };
+  if (snapshot.leftStart !== undefined) {
+    return {
+      start: Math.min(snapshot.leftStart, snapshot.rightStart),
+      end: Math.max(snapshot.leftEnd, snapshot.rightEnd)
+    };
+  }
+  return { start: snapshot.start, end: snapshot.end };
+}
+
+/* -----------------------
+   Edit Status
+   What the history panel shows before and after an edit:
+   { hairpins: [{ end: "3′" | "5′", dG }], worstDimerDG } where
+   worstDimerDG is the most stable extendable dimer involving the
+   primer (null when there is none, undefined when dimers is null:
+   not computed yet for this state)
+------------------------ */
+function editStatus(primer, dimers = []) {
+  const hairpins = rankHairpins(primer).map(hp => ({ end: hp.type === "3prime" ? "3′" : "5′", dG: hp.dG }));
+  if (dimers === null) return { hairpins: hairpins, worstDimerDG: undefined };
+
+  const extendable = dimers.filter(d =>
+    d.threePrimeExtendable && (d.primer1 === primer.name || d.primer2 === primer.name));
+
+  return {
+    hairpins: hairpins,
+    worstDimerDG: extendable.length ? Math.min(...extendable.map(d => d.dG)) : null
+  };
+}
+
+/* -----------------------
+   Undo/Redo Stacks
+   Entry: { primerIdx, name, part, partType, before, after,
+            beforeStatus, afterStatus }
+   A new edit clears the redo stack; the oldest entries are dropped
+   past HISTORY_LIMIT
+------------------------ */
+function createEditHistory() {
+  return { undo: [], redo: [] };
+}
+
+function pushHistory(history, entry) {
+  history.undo.push(entry);
+  if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+  history.redo = [];
+}
+
+// Move the latest entry from one stack to the other; returns it (or null)
+function stepHistory(history, direction) {
+  const from = direction === "undo" ? history.undo : history.redo;
+  const to = direction === "undo" ? history.redo : history.undo;
+  const entry = from.pop();
+  if (!entry) return null;
+  to.push(entry);
+  return entry;
+}
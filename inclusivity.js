@@ -0,0 +1,99 @@
+/* ================================================================
+   INCLUSIVITY.JS - Primer Inclusivity Across Variant Sequences
+   Contains: oligos to check (primers and FIP/BIP parts), best site
+             on each variant, primers × variants mismatch matrix
+   No DOM access (panel and matrix in ui.js)
+   ================================================================ */
+
+/* -----------------------
+   Search Tolerance
+   Weighted mismatch score allowed when placing an oligo on a variant
+   (3'-end mismatches count double, see mismatchWeight in hairpin.js).
+   Oligos beyond it are reported as not found
+------------------------ */
+const INCLUSIVITY_MAX_MISMATCH_SCORE = 8;
+
+/* -----------------------
+   Oligos to Check
+   One per regular primer and one per FIP/BIP part, on the strand it
+   binds in the reference. primingEnd is the end whose mismatches
+   matter most: 3' for everything but F1c/B1c, whose 5' end primes
+   once the dumbbell forms (as in composition.js).
+   Primers not placed on the reference are skipped
+------------------------ */
+function inclusivityTargets(primers) {
+  const targets = [];
+
+  primers.forEach(p => {
+    if (p.isInner) {
+      if (p.leftStart === undefined || p.leftStart === -1) return;
+      targets.push({
+        label: `${p.name} ${p.leftType}`, region: p.leftType, seq: p.left,
+        orientation: "reverse (RC)", refStart: p.leftStart,
+        primingEnd: isOneCRegion(p.leftType) ? "5′" : "3′"
+      });
+      targets.push({
+        label: `${p.name} ${p.rightType}`, region: p.rightType, seq: p.right,
+        orientation: "forward", refStart: p.rightStart,
+        primingEnd: isOneCRegion(p.rightType) ? "5′" : "3′"
+      });
+    } else if (p.start !== -1) {
+      targets.push({
+        label: p.name, region: p.name, seq: p.seq,
+        orientation: p.orientation, refStart: p.start, primingEnd: "3′"
+      });
+    }
+  });
+
+  return targets;
+}
+
+/* -----------------------
+   Best Site on One Variant
+   Sites on the reference strand win, then the fewest (weighted)
+   mismatches, then the one closest to the reference position.
+   Returns { found, start, end, orientation, mismatches, count,
+             mismatchScore, endMismatch } with mismatches as offsets
+   in the oligo (5'→3')
+------------------------ */
+function checkVariantBinding(variantSeq, target, circular = false) {
+  const sites = findBindingSites(variantSeq, target.seq, INCLUSIVITY_MAX_MISMATCH_SCORE, circular);
+  if (sites.length === 0) return { found: false };
+
+  const site = sites.slice().sort((a, b) =>
+    (a.orientation === target.orientation ? 0 : 1) - (b.orientation === target.orientation ? 0 : 1) ||
+    a.mismatchScore - b.mismatchScore ||
+    Math.abs(a.start - target.refStart) - Math.abs(b.start - target.refStart)
+  )[0];
+
+  const len = target.seq.length;
+  const endMismatch = site.mismatches.some(k =>
+    target.primingEnd === "3′" ? k >= len - THREE_PRIME_WINDOW : k < THREE_PRIME_WINDOW);
+
+  return {
+    found: true,
+    start: site.start,
+    end: site.end,
+    orientation: site.orientation,
+    mismatches: site.mismatches,
+    count: site.mismatches.length,
+    mismatchScore: site.mismatchScore,
+    endMismatch: endMismatch
+  };
+}
+
+/* -----------------------
+   Inclusivity Matrix
+   variants: [{ name, seq }] (cleaned sequences)
+   Returns { targets, variants, cells } where cells[t][v] is the
+   result for target t on variant v
+------------------------ */
+function checkInclusivity(variants, primers, circular = false) {
+  const targets = inclusivityTargets(primers);
+  const cells = targets.map(target =>
+    variants.map(variant => checkVariantBinding(variant.seq, target, circular)));
+
+  const failing = cells.flat().filter(c => !c.found || c.endMismatch).length;
+  debugLog(`Inclusivity: ${targets.length} oligo(s) × ${variants.length} variant(s), ${failing} not found or with end mismatches`);
+  return { targets, variants, cells };
+}
@@ -0,0 +1,108 @@
+/* ================================================================
+   JOBS.JS - Background Analysis Jobs
+   Contains: the analysis worker (worker.js) and its message protocol,
+             cancellation of stale runs, the in-page fallback
+   No DOM access (progress display in ui.js)
+   ================================================================ */
+
+/* -----------------------
+   Running Jobs
+   runAnalysisJob(job, onProgress) posts { id, job, debug } to the
+   worker and resolves with the result, or with null once a newer job
+   replaced it. Only one job is current: a busy worker cannot read new
+   messages, so starting a job while another runs terminates the
+   worker and starts a fresh one. Messages for any other id are
+   ignored. Where workers cannot start (no Worker support, or a page
+   opened from file://) jobs run in the page, after the browser has
+   had a chance to paint the progress display
+------------------------ */
+const ANALYSIS_WORKER_URL = "worker.js";
+
+let analysisWorker = null;
+let analysisWorkerFailed = typeof Worker === "undefined";
+let currentJob = null;  // { id, job, resolve, reject, onProgress }
+let nextJobId = 1;
+
+function runAnalysisJob(job, onProgress = () => {}) {
+  cancelAnalysisJob();
+
+  return new Promise((resolve, reject) => {
+    currentJob = { id: nextJobId++, job, resolve, reject, onProgress };
+    const worker = getAnalysisWorker();
+    if (worker) {
+      worker.postMessage({ id: currentJob.id, job: job, debug: isDebugLogging() });
+    } else {
+      runJobInPage(currentJob);
+    }
+  });
+}
+
+// Type of the job still running ("analyze", "dimers") or null
+function runningJobType() {
+  return currentJob ? currentJob.job.type : null;
+}
+
+// Drop the current job: its promise resolves with null
+function cancelAnalysisJob() {
+  if (!currentJob) return;
+  const job = currentJob;
+  currentJob = null;
+  if (analysisWorker) {
+    analysisWorker.terminate();
+    analysisWorker = null;
+  }
+  job.resolve(null);
+}
+
+function getAnalysisWorker() {
+  if (analysisWorker || analysisWorkerFailed) return analysisWorker;
+  try {
+    analysisWorker = new Worker(ANALYSIS_WORKER_URL);
+  } catch (e) {
+    // Browsers refuse workers on file:// pages
+    debugLog(`Analysis worker unavailable (${e.message}), running in the page`);
+    analysisWorkerFailed = true;
+    return null;
+  }
+  analysisWorker.onmessage = (e) => handleWorkerMessage(e.data);
+  analysisWorker.onerror = (e) => {
+    // The worker script or its imports failed to load: finish the
+    // current job (and every later one) in the page instead
+    e.preventDefault();
+    debugLog(`Analysis worker failed (${e.message}), running in the page`);
+    analysisWorkerFailed = true;
+    analysisWorker.terminate();
+    analysisWorker = null;
+    if (currentJob) runJobInPage(currentJob);
+  };
+  return analysisWorker;
+}
+
+function handleWorkerMessage(message) {
+  const job = currentJob;
+  if (!job || message.id !== job.id) return;  // From a cancelled job
+
+  if (message.type === "progress") {
+    job.onProgress(message.progress);
+  } else if (message.type === "result") {
+    currentJob = null;
+    job.resolve(message.result);
+  } else if (message.type === "error") {
+    currentJob = null;
+    job.reject(new Error(message.message));
+  }
+}
+
+function runJobInPage(job) {
+  setTimeout(() => {
+    if (currentJob !== job) return;  // Replaced before it started
+    try {
+      const result = runLampJob(job.job, job.onProgress);
+      currentJob = null;
+      job.resolve(result);
+    } catch (err) {
+      currentJob = null;
+      job.reject(err);
+    }
+  }, 0);
+}
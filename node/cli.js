@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/* ================================================================
+   NODE/CLI.JS - Command-Line Batch Analysis
+   Contains: argument parsing, file input, JSON/TSV output, pass/fail
+             summary and exit code
+   Runs the same pipeline as the web page (see node/index.js)
+   ================================================================ */
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { createLampLibrary } = require("./index.js");
+
+const USAGE = `Usage: lamp-primers --gene FILE --primers FILE [options]
+
+Checks a LAMP primer set against its template: binding sites, hairpins,
+dimers, lengths, composition, overlaps and set geometry.
+
+  -g, --gene FILE          template: raw sequence, FASTA or GenBank ("-" = stdin)
+  -p, --primers FILE       primers, one NAME=SEQUENCE per line; [Set name]
+                           header lines for several candidate sets
+  -f, --format json|tsv    output format (default json)
+  -o, --output FILE        write the output to FILE instead of stdout
+      --record N           record of a multi-record gene file (default 1)
+      --set N              candidate set to analyze (default 1)
+      --hairpin-mode exact|thermo
+      --dimer-mode alignment|exact
+      --max-mismatches N   weighted mismatches when locating primers (default 0)
+      --circular           circular template (plasmid)
+      --strict             fail on warnings too
+  -v, --verbose            algorithm log on stderr
+  -h, --help               show this help
+
+Exit status: 0 all checks passed, 1 checks failed, 2 usage, input or output error`;
+
+const EXIT_PASS = 0;
+const EXIT_FAIL = 1;
+const EXIT_USAGE = 2;
+
+const CHOICES = {
+  format: ["json", "tsv"],
+  "hairpin-mode": ["exact", "thermo"],
+  "dimer-mode": ["alignment", "exact"]
+};
+
+class UsageError extends Error {}
+
+function readArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        gene: { type: "string", short: "g" },
+        primers: { type: "string", short: "p" },
+        format: { type: "string", short: "f", default: "json" },
+        output: { type: "string", short: "o" },
+        record: { type: "string" },
+        set: { type: "string" },
+        "hairpin-mode": { type: "string", default: "exact" },
+        "dimer-mode": { type: "string", default: "alignment" },
+        "max-mismatches": { type: "string", default: "0" },
+        circular: { type: "boolean" },
+        strict: { type: "boolean", default: false },
+        verbose: { type: "boolean", short: "v", default: false },
+        help: { type: "boolean", short: "h", default: false }
+      }
+    });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+
+  const args = parsed.values;
+  if (args.help) return args;
+  if (!args.gene || !args.primers) throw new UsageError("--gene and --primers are required");
+
+  Object.entries(CHOICES).forEach(([name, allowed]) => {
+    if (!allowed.includes(args[name])) throw new UsageError(`--${name} must be one of ${allowed.join(", ")}`);
+  });
+
+  const positive = (name, value) => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new UsageError(`--${name} must be a whole number from 1`);
+    return n;
+  };
+  args.record = args.record === undefined ? 1 : positive("record", args.record);
+  args.set = args.set === undefined ? 1 : positive("set", args.set);
+
+  const mismatches = Number(args["max-mismatches"]);
+  if (!Number.isInteger(mismatches) || mismatches < 0 || mismatches > 6) {
+    throw new UsageError("--max-mismatches must be a whole number from 0 to 6");
+  }
+  args["max-mismatches"] = mismatches;
+  return args;
+}
+
+function readInput(file) {
+  try {
+    return fs.readFileSync(file === "-" ? 0 : file, "utf8");
+  } catch (e) {
+    throw new UsageError(`Could not read ${file}: ${e.code === "ENOENT" ? "no such file" : e.message}`);
+  }
+}
+
+// No file: stdout
+function writeOutput(file, text) {
+  if (!file) {
+    process.stdout.write(text);
+    return;
+  }
+  try {
+    fs.writeFileSync(file, text);
+  } catch (e) {
+    throw new UsageError(`Could not write ${file}: ${e.code === "ENOENT" ? "no such directory" : e.message}`);
+  }
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = readArgs(argv);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(`lamp-primers: ${e.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_PASS;
+  }
+
+  const lamp = createLampLibrary({ verbose: args.verbose });
+  const settings = {
+    hairpinMode: args["hairpin-mode"],
+    dimerMode: args["dimer-mode"],
+    maxMismatches: args["max-mismatches"]
+  };
+  // Without --circular a GenBank topology still applies
+  if (args.circular) settings.circular = true;
+
+  let result;
+  try {
+    result = lamp.analyze(readInput(args.gene), readInput(args.primers), {
+      record: args.record - 1,
+      set: args.set - 1,
+      settings: settings
+    });
+  } catch (e) {
+    console.error(`lamp-primers: ${e.message}`);
+    return EXIT_USAGE;
+  }
+
+  const { analysis, checks } = result;
+  const output = args.format === "tsv"
+    ? lamp.buildPrimerCsv(analysis.primers, result.gene.length, "\t")
+    : lamp.buildAnalysisJson({
+      gene: result.gene,
+      record: result.input.record,
+      settings: result.settings,
+      primers: analysis.primers,
+      dimers: analysis.dimers,
+      checks: checks
+    }) + "\n";
+
+  try {
+    writeOutput(args.output, output);
+  } catch (e) {
+    console.error(`lamp-primers: ${e.message}`);
+    return EXIT_USAGE;
+  }
+
+  // Summary on stderr so it never mixes with the data on stdout
+  const setName = result.set.name ? ` (${result.set.name})` : "";
+  checks.failures.forEach(message => console.error(`FAIL  ${message}`));
+  checks.warnings.forEach(message => console.error(`WARN  ${message}`));
+  console.error(`${analysis.primers.length} primer(s)${setName}: ${checks.failures.length} failure(s), ${checks.warnings.length} warning(s)`);
+
+  const failed = checks.failures.length > 0 || (args.strict && checks.warnings.length > 0);
+  return failed ? EXIT_FAIL : EXIT_PASS;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
@@ -0,0 +1,123 @@
+/* ================================================================
+   NODE/INDEX.JS - Headless Library for Node.js
+   Contains: loader that runs the DOM-free browser scripts in one
+             shared context, the exported API, a one-call analysis
+   The browser scripts stay plain globals (loaded by <script> tags in
+   index.html); here the same files are evaluated in a vm context so
+   both environments run identical code
+   ================================================================ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// Same order as index.html (and worker.js); only scripts without DOM access
+const LIBRARY_SCRIPTS = [
+  "debug.js", "thermo.js", "composition.js", "hairpin.js", "geometry.js", "validation.js",
+  "designer.js", "compare.js", "inclusivity.js", "exclusivity.js", "export.js",
+  "project.js", "history.js", "parsers.js", "pipeline.js"
+];
+
+/* -----------------------
+   Context
+   The algorithm files log their progress with debugLog (debug.js),
+   switched on by options.verbose. Outside a browser console.log would
+   mix with JSON/TSV written to stdout, so logs go to stderr
+------------------------ */
+function createLampContext(options = {}) {
+  const log = (...args) => console.error(...args);
+  const context = vm.createContext({
+    console: { log: log, info: log, debug: log, warn: console.error, error: console.error }
+  });
+
+  LIBRARY_SCRIPTS.forEach(file => {
+    const code = fs.readFileSync(path.join(ROOT, file), "utf8");
+    vm.runInContext(code, context, { filename: file });
+  });
+  context.setDebugLogging(!!options.verbose);
+  return context;
+}
+
+/* -----------------------
+   Library
+   Functions come straight from the context; top-level consts are not
+   properties of it and are read by name
+------------------------ */
+const EXPORTED_FUNCTIONS = [
+  // hairpin.js
+  "revcomp", "checkHairpin3Prime", "checkHairpin5Prime", "analyzeHairpins", "splitInnerPrimer",
+  "checkDimer", "checkSelfDimer", "checkAllDimers", "findBindingSites", "attachPrimerPositions",
+  // thermo.js / composition.js
+  "calculateTm", "analyzeComposition", "gcPercent",
+  // validation.js / geometry.js
+  "getPrimerLengthWarnings", "findPrimerOverlaps", "validateLampGeometry",
+  // parsers.js
+  "parseSequenceInput", "cleanSequence", "cleanSequenceWithReport", "parsePrimers", "parsePrimerSets",
+  // pipeline.js / compare.js
+  "prepareLampInput", "analyzeLampSets", "lampSetChecks", "runLampJob", "summarizePrimerSet",
+  // export.js
+  "buildAnalysisJson", "buildPrimerCsv", "buildDimerCsv", "buildOrderSheet",
+  // designer.js / inclusivity.js / exclusivity.js
+  "designPrimerSets", "checkInclusivity", "buildBackgroundIndex", "screenExclusivity"
+];
+
+const EXPORTED_CONSTANTS = ["PRIMER_LENGTH_RANGES", "DIMER_DG_SEVERITY_THRESHOLDS", "THREE_PRIME_WINDOW"];
+
+function createLampLibrary(options = {}) {
+  const context = createLampContext(options);
+  const library = {};
+
+  EXPORTED_FUNCTIONS.forEach(name => {
+    if (typeof context[name] !== "function") throw new Error(`${name} is missing from the library scripts`);
+    library[name] = context[name];
+  });
+  EXPORTED_CONSTANTS.forEach(name => {
+    library[name] = vm.runInContext(name, context);
+  });
+
+  /* -----------------------
+     One-Call Analysis
+     geneInput/primerInput as typed in the web page. options:
+     { record (index), set (index), settings: { hairpinMode, dimerMode,
+       maxMismatches, circular } }.
+     Returns { input, analysis, checks, gene, set } or throws an Error
+     for unusable input
+  ------------------------ */
+  library.analyze = (geneInput, primerInput, options = {}) => {
+    const input = context.prepareLampInput(geneInput, primerInput, records => {
+      const idx = options.record || 0;
+      if (idx >= records.length) throw new Error(`Record ${idx + 1} requested, the gene input has ${records.length}`);
+      return idx;
+    });
+    if (!input.gene) throw new Error("The gene input contains no sequence");
+
+    const setIndex = options.set || 0;
+    if (setIndex >= input.primerSets.length) {
+      throw new Error(`Set ${setIndex + 1} requested, the primer input has ${input.primerSets.length}`);
+    }
+    if (input.primerSets[setIndex].primers.length === 0) throw new Error("No primers found (expected NAME=SEQUENCE lines)");
+
+    // GenBank LOCUS lines say whether the molecule is circular (as in the web page)
+    const settings = { hairpinMode: "exact", dimerMode: "alignment", maxMismatches: 0, circular: false, ...options.settings };
+    if (input.record.topology && !(options.settings && "circular" in options.settings)) {
+      settings.circular = input.record.topology === "circular";
+    }
+
+    const analysis = context.analyzeLampSets(input.gene, input.primerSets, setIndex, settings);
+    return {
+      input: input,
+      gene: input.gene,
+      set: input.primerSets[setIndex],
+      settings: settings,
+      analysis: analysis,
+      checks: context.lampSetChecks(analysis.summary)
+    };
+  };
+
+  library.context = context;
+  return library;
+}
+
+module.exports = { createLampLibrary, createLampContext, LIBRARY_SCRIPTS };
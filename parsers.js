@@ -0,0 +1,361 @@
+/* ================================================================
+   PARSERS.JS - Sequence File and Primer Input Parsing
+   Contains: FASTA / multi-FASTA, GenBank flatfile, feature locations,
+             sequence cleaning, primer lists and candidate sets
+   Pure text → object functions, no DOM access
+   ================================================================ */
+
+/* -----------------------
+   Format Detection
+   "fasta" if the first non-blank line starts with ">",
+   "genbank" if it starts with LOCUS, otherwise "raw"
+------------------------ */
+function detectSequenceFormat(text) {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim() !== "") || "";
+  if (firstLine.trim().startsWith(">")) return "fasta";
+  if (/^LOCUS\s/.test(firstLine.trim())) return "genbank";
+  return "raw";
+}
+
+/* -----------------------
+   FASTA / Multi-FASTA
+   Each record: { name, description, seq, coordinates }
+   name is the first word of the header, description the rest.
+   Sequence lines keep every character except whitespace; cleaning to
+   bases is left to cleanSequence so all input goes through one path
+------------------------ */
+function parseFasta(text) {
+  const records = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    if (line.startsWith(">")) {
+      const header = line.slice(1).trim();
+      const spaceIdx = header.search(/\s/);
+      current = {
+        name: spaceIdx === -1 ? header : header.slice(0, spaceIdx),
+        description: spaceIdx === -1 ? "" : header.slice(spaceIdx + 1).trim(),
+        seq: "",
+        coordinates: parseHeaderCoordinates(header)
+      };
+      records.push(current);
+    } else if (current && !line.startsWith(";")) {
+      current.seq += line.replace(/\s/g, "");
+    }
+  });
+
+  return records;
+}
+
+// Genomic coordinates in a FASTA header, e.g. "chr17:7661779-7687538"
+// or Ensembl "chromosome:GRCh38:17:7661779:7687538:-1"
+function parseHeaderCoordinates(header) {
+  const ucsc = header.match(/([\w.]+):([\d,]+)-([\d,]+)/);
+  if (ucsc) {
+    return {
+      contig: ucsc[1],
+      start: parseInt(ucsc[2].replace(/,/g, ""), 10),
+      end: parseInt(ucsc[3].replace(/,/g, ""), 10)
+    };
+  }
+
+  const ensembl = header.match(/:[\w.]+:([\w.]+):(\d+):(\d+)(?::(-?1))?/);
+  if (ensembl) {
+    return {
+      contig: ensembl[1],
+      start: parseInt(ensembl[2], 10),
+      end: parseInt(ensembl[3], 10),
+      strand: ensembl[4] === "-1" ? -1 : 1
+    };
+  }
+
+  return null;
+}
+
+/* -----------------------
+   GenBank Flatfile
+   Returns { name, accession, version, definition, length, topology, seq, features }
+   topology is "circular", "linear" or null when the LOCUS line omits it
+   Each feature: { type, location, ranges, strand, qualifiers }
+   Ranges are 1-based inclusive, as written in the file
+------------------------ */
+function parseGenBank(text) {
+  const lines = text.split(/\r?\n/);
+  const record = {
+    name: "",
+    accession: "",
+    version: "",
+    definition: "",
+    length: null,
+    topology: null,
+    seq: "",
+    features: []
+  };
+
+  let section = null;
+  let feature = null;
+  let lastQualifier = null;
+
+  lines.forEach(line => {
+    if (line.startsWith("//")) {
+      section = "end";
+      return;
+    }
+    if (section === "end") return;
+
+    // Top-level keywords start in column 1
+    if (/^[A-Z]/.test(line)) {
+      const keyword = line.split(/\s+/)[0];
+      const value = line.slice(12).trim();
+
+      if (keyword === "LOCUS") {
+        const fields = line.split(/\s+/);
+        record.name = fields[1] || "";
+        const lengthIdx = fields.findIndex(f => f === "bp" || f === "aa");
+        if (lengthIdx > 0) record.length = parseInt(fields[lengthIdx - 1], 10);
+        record.topology = fields.find(f => f === "circular" || f === "linear") || null;
+      } else if (keyword === "DEFINITION") {
+        record.definition = value;
+      } else if (keyword === "ACCESSION") {
+        record.accession = value.split(/\s+/)[0];
+      } else if (keyword === "VERSION") {
+        record.version = value.split(/\s+/)[0];
+      }
+
+      section = keyword;
+      return;
+    }
+
+    if (section === "DEFINITION" && line.startsWith("            ")) {
+      record.definition += " " + line.trim();
+    } else if (section === "FEATURES") {
+      const key = line.slice(5, 21).trim();
+      const content = line.slice(21).trim();
+
+      if (key) {
+        // New feature: key in columns 6-20, location from column 22
+        feature = { type: key, location: content, qualifiers: {} };
+        record.features.push(feature);
+        lastQualifier = null;
+      } else if (feature && content.startsWith("/")) {
+        const eqIdx = content.indexOf("=");
+        const qName = eqIdx === -1 ? content.slice(1) : content.slice(1, eqIdx);
+        const qValue = eqIdx === -1 ? true : content.slice(eqIdx + 1).replace(/^"|"$/g, "");
+        feature.qualifiers[qName] = qValue;
+        lastQualifier = qName;
+      } else if (feature && lastQualifier) {
+        // Continuation of a multi-line qualifier value
+        feature.qualifiers[lastQualifier] += " " + content.replace(/"$/, "");
+      } else if (feature) {
+        // Continuation of a multi-line location
+        feature.location += content;
+      }
+    } else if (section === "ORIGIN") {
+      record.seq += line.replace(/[\d\s]/g, "");
+    }
+  });
+
+  record.features.forEach(f => {
+    const parsed = parseFeatureLocation(f.location);
+    f.ranges = parsed.ranges;
+    f.strand = parsed.strand;
+  });
+
+  return record;
+}
+
+/* -----------------------
+   Feature Location Parsing
+   Handles a..b, single bases, <a..>b partial ends, complement(),
+   join() and order(). Remote references (ACC:a..b) and between-base
+   sites (a^b) are skipped. Returns { ranges: [{start, end}], strand }
+------------------------ */
+function parseFeatureLocation(location) {
+  const strand = location.includes("complement(") ? -1 : 1;
+  const body = location.replace(/complement\(|join\(|order\(|\)|[<>]/g, "");
+  const ranges = [];
+
+  body.split(",").forEach(part => {
+    part = part.trim();
+    if (!part || part.includes(":") || part.includes("^")) return;
+
+    const bounds = part.split("..").map(n => parseInt(n, 10));
+    if (bounds.some(isNaN)) return;
+    ranges.push({ start: bounds[0], end: bounds.length > 1 ? bounds[1] : bounds[0] });
+  });
+
+  ranges.sort((a, b) => a.start - b.start);
+  return { ranges: ranges, strand: strand };
+}
+
+/* -----------------------
+   Exon Junctions from GenBank Features
+   Junction N marks the boundary after base N (same convention as
+   window.exonJunctions). Boundaries come from:
+   - multi-part CDS/exon/mRNA join(...) locations
+   - consecutive separate exon features
+   For genomic records with introns both the exon end and the base
+   before the next exon are marked
+------------------------ */
+function junctionsFromFeatures(features, seqLength) {
+  const junctions = new Set();
+
+  const addBoundaries = ranges => {
+    for (let k = 0; k < ranges.length - 1; k++) {
+      junctions.add(ranges[k].end);
+      if (ranges[k + 1].start - 1 !== ranges[k].end) {
+        junctions.add(ranges[k + 1].start - 1);
+      }
+    }
+  };
+
+  features
+    .filter(f => ["CDS", "exon", "mRNA"].includes(f.type) && f.ranges.length > 1)
+    .forEach(f => addBoundaries(f.ranges));
+
+  const exonRanges = features
+    .filter(f => f.type === "exon" && f.ranges.length === 1)
+    .map(f => f.ranges[0])
+    .sort((a, b) => a.start - b.start);
+  addBoundaries(exonRanges);
+
+  return [...junctions]
+    .filter(pos => pos > 0 && (!seqLength || pos < seqLength))
+    .sort((a, b) => a - b);
+}
+
+/* -----------------------
+   Parse Gene Input (any format)
+   Returns { format, records } where each record is
+   { name, description, seq, coordinates, topology, junctions, features }
+   Raw text becomes a single unnamed record; topology is only known
+   for GenBank
+------------------------ */
+function parseSequenceInput(text) {
+  const format = detectSequenceFormat(text);
+
+  if (format === "fasta") {
+    const records = parseFasta(text).map(r => ({
+      ...r,
+      topology: null,
+      junctions: [],
+      features: []
+    }));
+    return { format, records };
+  }
+
+  if (format === "genbank") {
+    // Flatfiles may hold several records separated by "//"
+    const records = text
+      .split(/^\/\/\s*$/m)
+      .filter(chunk => /^\s*LOCUS\s/m.test(chunk))
+      .map(chunk => {
+        const gb = parseGenBank(chunk);
+        return {
+          name: gb.version || gb.accession || gb.name,
+          description: gb.definition,
+          seq: gb.seq,
+          coordinates: { contig: gb.accession || gb.name, start: 1, end: gb.length || gb.seq.length },
+          topology: gb.topology,
+          junctions: junctionsFromFeatures(gb.features, gb.seq.length),
+          features: gb.features
+        };
+      });
+    return { format, records };
+  }
+
+  return {
+    format,
+    records: [{ name: "", description: "", seq: text, coordinates: null, topology: null, junctions: [], features: [] }]
+  };
+}
+
+/* -----------------------
+   Clean Sequence
+   Applied to the sequence of a parsed record (FASTA headers and
+   GenBank annotations are already stripped by parsers.js).
+   IUPAC codes (N, R, Y, ...) are kept in place so coordinates match
+   the user's reference; U is read as T. Everything else is dropped.
+   Returns { seq, kept, dropped, converted } where the last three
+   count characters by symbol
+------------------------ */
+function cleanSequenceWithReport(seq) {
+  const kept = {};
+  const dropped = {};
+  const converted = {};
+  let cleaned = "";
+  
+  for (const rawChar of seq) {
+    const char = rawChar.toUpperCase();
+    if ("ACGT".includes(char)) {
+      cleaned += char;
+    } else if (char === "U") {
+      cleaned += "T";
+      converted["U→T"] = (converted["U→T"] || 0) + 1;
+    } else if (IUPAC_CODES[char]) {
+      cleaned += char;
+      kept[char] = (kept[char] || 0) + 1;
+    } else {
+      const label = /\s/.test(char) ? "whitespace" : char;
+      dropped[label] = (dropped[label] || 0) + 1;
+    }
+  }
+  
+  return { seq: cleaned, kept, dropped, converted };
+}
+
+function cleanSequence(seq) {
+  return cleanSequenceWithReport(seq).seq;
+}
+
+/* -----------------------
+   Parse Primer Sets
+   "[Set name]" lines start a new candidate set; primer lines before
+   the first header form "Set 1". Without headers there is a single
+   set with an empty name. Always returns at least one set
+------------------------ */
+const PRIMER_SET_HEADER = /^\s*\[(.+)\]\s*$/;
+
+function parsePrimerSets(text) {
+  const sets = [];
+  let current = { name: "", lines: [] };
+  
+  for (let line of text.split("\n")) {
+    const header = line.match(PRIMER_SET_HEADER);
+    if (header) {
+      if (current.lines.length > 0 || sets.length > 0) sets.push(current);
+      current = { name: header[1].trim(), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sets.push(current);
+  
+  // Unnamed primers ahead of the first header
+  if (sets.length > 1 && !sets[0].name) sets[0].name = "Set 1";
+  
+  return sets.map(set => ({ name: set.name, primers: parsePrimers(set.lines.join("\n")) }));
+}
+
+/* -----------------------
+   Parse Primers
+------------------------ */
+function parsePrimers(text) {
+  const lines = text.split("\n");
+  const primers = [];
+
+  for (let line of lines) {
+    if (!line.includes("=")) continue;
+    const [name, seq] = line.split("=");
+
+    primers.push({
+      name: name.trim(),
+      seq: seq.trim().toUpperCase(),
+      start: null,
+      end: null,
+      orientation: null,
+      isInner: false,
+    });
+  }
+  return primers;
+}
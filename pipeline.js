@@ -0,0 +1,109 @@
+/* ================================================================
+   PIPELINE.JS - Analysis Pipeline
+   Contains: gene/primer input → cleaned template and candidate sets,
+             analysis of the active set (and the others), pass/fail
+             checks of a set, jobs for the analysis worker
+   No DOM access: shared by app.js (runAnalysis), worker.js and the
+   Node CLI
+   ================================================================ */
+
+/* -----------------------
+   Prepare Input
+   geneInput: raw sequence, FASTA or GenBank text; primerInput: primer
+   lines, optionally under "[Set name]" headers.
+   selectRecord(records) picks the record of a multi-record file
+   (index, first one by default).
+   Returns { format, records, record, cleaned, gene, primerSets }
+------------------------ */
+function prepareLampInput(geneInput, primerInput, selectRecord = () => 0) {
+  const parsed = parseSequenceInput(geneInput);
+  const record = parsed.records[selectRecord(parsed.records)];
+  const cleaned = cleanSequenceWithReport(record ? record.seq : "");
+
+  return {
+    format: parsed.format,
+    records: parsed.records,
+    record: record,
+    cleaned: cleaned,
+    gene: cleaned.seq,
+    primerSets: parsePrimerSets(primerInput)
+  };
+}
+
+/* -----------------------
+   Analyze Sets
+   The active set goes through attachPrimerPositions with the user's
+   site choices; with several sets the others run the same pipeline
+   for the comparison view (site choices only apply to the active set).
+   Returns { primers, dimers, summary, setComparison } where summary
+   is the active set's (compare.js) and setComparison is empty for a
+   single set. onProgress as in attachPrimerPositions for the active
+   set, then { stage: "sets", done, total } for the others
+------------------------ */
+function analyzeLampSets(gene, primerSets, activeIndex, settings = {}, siteSelections = {}, onProgress = () => {}) {
+  const active = primerSets[activeIndex];
+  const dimers = attachPrimerPositions(gene, active.primers, { ...settings, siteSelections }, onProgress);
+  const summary = summarizePrimerSet(active.name, active.primers, dimers, gene.length, !!settings.circular);
+
+  const setComparison = primerSets.length < 2 ? [] : primerSets.map((set, idx) => {
+    onProgress({ stage: "sets", done: idx, total: primerSets.length });
+    return idx === activeIndex ? summary : analyzePrimerSet(gene, set, settings);
+  });
+  if (setComparison.length) onProgress({ stage: "sets", done: primerSets.length, total: primerSets.length });
+
+  return { primers: active.primers, dimers, summary, setComparison };
+}
+
+/* -----------------------
+   Pass/Fail Checks
+   From a set summary. Failures block the set: primers not found,
+   strong or moderate end hairpins (DG_SEVERITY_THRESHOLDS), strong
+   extendable dimers (DIMER_DG_SEVERITY_THRESHOLDS), overlaps,
+   geometry failures. Warnings are guidelines: weak hairpins, lengths,
+   composition and weaker extendable dimers.
+   Returns { failures, warnings } as messages, each listed once
+------------------------ */
+function lampSetChecks(summary) {
+  const failures = [];
+  const warnings = [];
+
+  summary.primers.forEach(p => {
+    if (primerRanges(p).length === 0) failures.push(`${p.name} not found on the template`);
+    rankHairpins(p).forEach(hp => {
+      const dG = hp.dG === undefined ? "" : ` (ΔG ${hp.dG.toFixed(1)})`;
+      const message = `${p.name} ${hp.type === "3prime" ? "3′" : "5′"} end hairpin, stem ${hp.stemLength}bp${dG}`;
+      (hp.dG === undefined || classifyDeltaG(hp.dG) !== "weak" ? failures : warnings).push(message);
+    });
+    warnings.push(...getCompositionWarnings(p));
+  });
+
+  summary.dimers.filter(d => d.threePrimeExtendable).forEach(d => {
+    const message = `${d.isSelf ? "Self" : "Cross"}-dimer ${d.primer1}/${d.primer2} with extendable 3′ end (ΔG ${d.dG.toFixed(1)})`;
+    (d.dG <= DIMER_DG_SEVERITY_THRESHOLDS.strong ? failures : warnings).push(message);
+  });
+
+  failures.push(...summary.overlaps);
+  failures.push(...summary.geometryFailures.map(c => c.message));
+  warnings.push(...summary.lengthWarnings);
+
+  return { failures: [...new Set(failures)], warnings: [...new Set(warnings)] };
+}
+
+/* -----------------------
+   Jobs
+   The work the page hands to the analysis worker (worker.js), or runs
+   in place where workers are unavailable. Plain data in and out, so
+   jobs and results survive the structured clone of postMessage:
+   { type: "analyze", gene, primerSets, activeIndex, settings,
+     siteSelections } → analyzeLampSets result
+   { type: "dimers", primers: [{ name, seq }], mode } → checkAllDimers result
+------------------------ */
+function runLampJob(job, onProgress = () => {}) {
+  if (job.type === "analyze") {
+    return analyzeLampSets(job.gene, job.primerSets, job.activeIndex, job.settings, job.siteSelections, onProgress);
+  }
+  if (job.type === "dimers") {
+    return checkAllDimers(job.primers, job.mode, onProgress);
+  }
+  throw new Error(`Unknown job type: ${job.type}`);
+}
@@ -0,0 +1,152 @@
+/* ================================================================
+   PROJECT.JS - Project Files and Autosave Format
+   Contains: versioned project format (JSON), validation and upgrade
+             of loaded files, primer input text for a project
+   Works on plain state objects, no DOM access (buttons in ui.js)
+   ================================================================ */
+
+/* -----------------------
+   Project Format
+   {
+     format: "lamp-primer-project", version: 1, savedAt,
+     geneInput:   gene textarea text as entered (raw, FASTA or GenBank),
+     recordIndex: record picked in a multi-record file,
+     primers:     [{ name, seq, start, end }] current sequences after
+                  any boundary edits (positions 1-based, for reading
+                  the file; placement is recomputed on load),
+     sets:        optional, several candidate sets as
+                  [{ name, primers }] (primers is then the active one),
+     activeSet:   index of the set shown in full,
+     junctions:   exon junction positions,
+     settings:    analysis settings (hairpin/dimer mode, mismatches,
+                  circular),
+     siteSelections: primer name -> binding site picked by the user
+   }
+------------------------ */
+const PROJECT_FORMAT = "lamp-primer-project";
+const PROJECT_VERSION = 1;
+const PROJECT_AUTOSAVE_KEY = "lamp-primer-project-autosave";
+
+function projectPrimer(p) {
+  const placed = p.isInner ? p.leftStart !== undefined && p.leftStart !== -1 : p.start !== null && p.start !== -1;
+  return {
+    name: p.name,
+    seq: p.seq,
+    start: placed ? (p.isInner ? Math.min(p.leftStart, p.rightStart) : p.start) + 1 : null,
+    end: placed ? (p.isInner ? Math.max(p.leftEnd, p.rightEnd) : p.end) : null
+  };
+}
+
+function buildProject(state) {
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    geneInput: state.geneInput,
+    recordIndex: state.recordIndex || 0,
+    primers: state.primers.map(projectPrimer),
+    junctions: state.junctions.slice(),
+    settings: { ...state.settings },
+    siteSelections: { ...state.siteSelections }
+  };
+
+  if (state.primerSets && state.primerSets.length > 1) {
+    project.sets = state.primerSets.map(set => ({ name: set.name, primers: set.primers.map(projectPrimer) }));
+    project.activeSet = state.activeSet || 0;
+  }
+  return project;
+}
+
+/* -----------------------
+   Read a Project File
+   Throws an Error with a readable message for anything that is not a
+   project this version understands; missing optional fields get
+   their defaults. Settings are checked one by one against
+   PROJECT_SETTING_RULES: unknown or invalid values are dropped, so the
+   page keeps its own setting for them. A project can come from a
+   share link, so primers and sets whose name or sequence would not
+   survive the primer textarea ("name=SEQ" lines, "[Set]" headers)
+   are dropped too
+------------------------ */
+const PROJECT_SETTING_RULES = {
+  hairpinMode: value => value === "exact" || value === "thermo",
+  dimerMode: value => value === "alignment" || value === "exact",
+  maxMismatches: value => Number.isInteger(value) && value >= 0 && value <= 6,  // Input range in index.html
+  circular: value => typeof value === "boolean"
+};
+
+const PROJECT_NAME_PATTERN = /^[^=\[\]<>&"'\r\n]{1,60}$/;
+const PROJECT_SEQ_PATTERN = /^[ACGTURYSWKMBDHVN]{1,200}$/i;
+
+function isProjectPrimer(p) {
+  return !!p && typeof p.name === "string" && PROJECT_NAME_PATTERN.test(p.name.trim())
+    && typeof p.seq === "string" && PROJECT_SEQ_PATTERN.test(p.seq);
+}
+
+function projectSet(set) {
+  if (!set || typeof set.name !== "string" || !PROJECT_NAME_PATTERN.test(set.name.trim())) return null;
+  if (!Array.isArray(set.primers)) return null;
+  return { ...set, primers: set.primers.filter(isProjectPrimer) };
+}
+
+function projectSettings(settings) {
+  const valid = {};
+  if (!settings || typeof settings !== "object") return valid;
+  Object.entries(PROJECT_SETTING_RULES).forEach(([key, isValid]) => {
+    if (isValid(settings[key])) valid[key] = settings[key];
+  });
+  return valid;
+}
+
+function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Not a project file (invalid JSON)");
+  }
+
+  if (!data || data.format !== PROJECT_FORMAT) {
+    throw new Error("Not a LAMP primer project file");
+  }
+  if (typeof data.version !== "number" || data.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${data.version} is newer than this tool supports (${PROJECT_VERSION})`);
+  }
+  if (typeof data.geneInput !== "string" || !Array.isArray(data.primers)) {
+    throw new Error("Project file is missing the gene or primers");
+  }
+
+  // A file with an empty set list is read as a single-set project
+  const sets = Array.isArray(data.sets) ? data.sets.map(projectSet).filter(Boolean) : [];
+  const index = value => Number.isInteger(value) && value >= 0 ? value : 0;
+
+  return {
+    ...data,
+    recordIndex: index(data.recordIndex),
+    primers: data.primers.filter(isProjectPrimer),
+    sets: sets.length > 0 ? sets : null,
+    activeSet: index(data.activeSet),
+    junctions: Array.isArray(data.junctions) ? data.junctions.filter(Number.isInteger) : [],
+    settings: projectSettings(data.settings),
+    siteSelections: projectSiteSelections(data.siteSelections)
+  };
+}
+
+// Picked binding sites are stored as strings; anything else is dropped
+function projectSiteSelections(selections) {
+  const valid = {};
+  if (!selections || typeof selections !== "object") return valid;
+  Object.entries(selections).forEach(([name, site]) => {
+    if (typeof site === "string") valid[name] = site;
+  });
+  return valid;
+}
+
+// Primer textarea contents ("F3=ACGT...", "[Set name]" headers for several sets)
+function projectPrimerText(project) {
+  const lines = primers => primers.filter(p => p && p.name && p.seq).map(p => `${p.name}=${p.seq}`).join("\n");
+  if (project.sets && project.sets.length > 1) {
+    return project.sets.map(set => `[${set.name}]\n${lines(set.primers)}`).join("\n\n");
+  }
+  return lines(project.primers);
+}
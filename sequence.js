@@ -26,6 +26,16 @@ const primerColors = {
   LB: "#FFDAB9",      // Same as LoopB
 };
 
+/* -----------------------
+   ΔG Severity Colors
+   Shared by hairpin highlights, tooltips and the primer table
+------------------------ */
+const severityColors = {
+  strong: { border: "#dc3545", bg: "#dc3545", text: "#fff", label: "Strong (fix recommended)" },
+  moderate: { border: "#f44336", bg: "#f8d7da", text: "#721c24", label: "Moderate" },
+  weak: { border: "#ffc107", bg: "#fff3cd", text: "#856404", label: "Weak" }
+};
+
 function getPrimerColor(type) {
   // Normalize the type (case-insensitive matching)
   const normalizedType = type ? type.toUpperCase() : '';
@@ -61,12 +71,108 @@ function displaySequence(gene, primers, exonJunctions = []) {
   const viewer = document.getElementById("sequence-viewer");
   viewer.innerHTML = "";
 
-  let chars = gene.split("").map((base, idx) => ({
+  const chars = annotateSequence(gene, primers);
+
+  // Render with tooltips and exon junction markers
+  let html = '';
+  chars.forEach((charObj, idx) => {
+    // Render the base
+    if (charObj.highlights.length === 0) {
+      // Ambiguity codes (N, R, Y, ...) are kept in place and marked
+      html += isAmbiguousBase(charObj.base)
+        ? `<span class="ambiguous-base" title="${describeIupac(charObj.base)} | Position: ${idx + 1}">${charObj.base}</span>`
+        : charObj.base;
+    } else {
+      // Use the top-most (last added) highlight for visual styling
+      const topHighlight = charObj.highlights[charObj.highlights.length - 1];
+      const border = topHighlight.borderColor ? 
+        `border: 2px ${topHighlight.borderStyle || 'solid'} ${topHighlight.borderColor}; font-weight: bold;` : "";
+      
+      // Generate tooltip content from ALL highlights at this position
+      const tooltipText = generateTooltip(charObj.highlights, charObj.index, charObj.base);
+      
+      const ambiguousClass = isAmbiguousBase(charObj.base) ? " ambiguous-base" : "";
+      const textColor = topHighlight.textColor ? `color: ${topHighlight.textColor};` : "";
+      html += `<span class="sequence-base${ambiguousClass}" 
+                    style="background:${topHighlight.color}; padding:2px; border-radius:3px; ${border} ${textColor}" 
+                    data-tooltip="${escapeHtml(tooltipText)}">${charObj.base}</span>`;
+    }
+    
+    // Add exon junction marker after this base if position matches
+    // Junction at position N means: junction appears after base at index N-1
+    if (exonJunctions.includes(idx + 1)) {
+      html += `<span class="exon-junction" data-position="${idx + 1}" title="Exon junction at position ${idx + 1}"></span>`;
+    }
+  });
+
+  viewer.innerHTML = html;
+}
+
+/* -----------------------
+   Stacked Set Tracks
+   Overview above the sequence viewer when several candidate sets are
+   compared: one track per set, each placed region drawn as a block
+   in its primer colour at its position along the template
+------------------------ */
+function renderSetTracks(gene, summaries, activeIndex) {
+  const container = document.getElementById("set-tracks");
+  if (!container) return;
+  
+  if (!summaries || summaries.length < 2) {
+    container.style.display = "none";
+    container.innerHTML = "";
+    return;
+  }
+  
+  const percent = pos => (pos / gene.length * 100).toFixed(3);
+  container.innerHTML = summaries.map((s, idx) => {
+    const blocks = s.primers.flatMap(p => primerRanges(p).map(r => {
+      const label = r.part || p.name;
+      // Regions across the origin of a circular template are drawn in two pieces
+      const pieces = r.end > gene.length ? [[r.start, gene.length], [0, r.end - gene.length]] : [[r.start, r.end]];
+      return pieces.map(([from, to]) =>
+        `<span class="set-track-block" style="left:${percent(from)}%; width:${percent(to - from)}%; background:${getPrimerColor(label)};" title="${escapeHtml(s.name)}: ${label} ${r.start + 1}-${r.end > gene.length ? r.end - gene.length : r.end}"></span>`
+      ).join('');
+    })).join('');
+    
+    return `
+      <div class="set-track${idx === activeIndex ? ' set-track-active' : ''}">
+        <span class="set-track-label">${escapeHtml(s.name)}</span>
+        <span class="set-track-bar">${blocks}</span>
+      </div>
+    `;
+  }).join('');
+  container.style.display = "";
+}
+
+/* -----------------------
+   Sequence Annotation
+   One entry per template base: { base, index, highlights } where
+   highlights are stacked in drawing order (last one on top). Shared
+   by the on-page viewer and the SVG figure export (figure.js)
+------------------------ */
+function annotateSequence(gene, primers) {
+  const chars = gene.split("").map((base, idx) => ({
     base: base,
     index: idx,
     highlights: []  // Will store all highlighting info for this position
   }));
 
+  // Off-target binding sites first, so the intended sites draw on top
+  primers.forEach(p => {
+    offTargetRanges(p).forEach(range => {
+      addHighlight(chars, range.start, range.end, {
+        color: "#f5f5f5",
+        borderColor: getPrimerColor(range.part || p.name),
+        borderStyle: "dotted",
+        type: 'off_target',
+        primer: p,
+        partType: range.part,
+        siteNumber: range.siteNumber
+      });
+    });
+  });
+
   primers.forEach(p => {
     if (!p.isInner) {
       // Regular primer - highlight the whole thing
@@ -88,14 +194,14 @@ function displaySequence(gene, primers, exonJunctions = []) {
           
           addHighlight(chars, tail3Start, tail3End, {
             color: "#FF1493",
-            borderColor: "#FF1493",
+            borderColor: hairpinBorderColor(hp),
             type: 'hairpin3_tail',
             primer: p,
             hairpin: hp
           });
           addHighlight(chars, compStart, compEnd, {
             color: "#C71585",
-            borderColor: "#FF1493",
+            borderColor: hairpinBorderColor(hp),
             type: 'hairpin3_comp',
             primer: p,
             hairpin: hp
@@ -109,14 +215,14 @@ function displaySequence(gene, primers, exonJunctions = []) {
           
           addHighlight(chars, tail3Start, tail3End, {
             color: "#FF1493",
-            borderColor: "#FF1493",
+            borderColor: hairpinBorderColor(hp),
             type: 'hairpin3_tail',
             primer: p,
             hairpin: hp
           });
           addHighlight(chars, compStart, compEnd, {
             color: "#C71585",
-            borderColor: "#FF1493",
+            borderColor: hairpinBorderColor(hp),
             type: 'hairpin3_comp',
             primer: p,
             hairpin: hp
@@ -135,14 +241,14 @@ function displaySequence(gene, primers, exonJunctions = []) {
           
           addHighlight(chars, head5Start, head5End, {
             color: "#1E90FF",
-            borderColor: "#1E90FF",
+            borderColor: hairpinBorderColor(hp),
             type: 'hairpin5_head',
             primer: p,
             hairpin: hp
           });
           addHighlight(chars, compStart, compEnd, {
             color: "#4169E1",
-            borderColor: "#1E90FF",
+            borderColor: hairpinBorderColor(hp),
             type: 'hairpin5_comp',
             primer: p,
             hairpin: hp
@@ -156,14 +262,14 @@ function displaySequence(gene, primers, exonJunctions = []) {
           
           addHighlight(chars, head5Start, head5End, {
             color: "#1E90FF",
-            borderColor: "#1E90FF",
+            borderColor: hairpinBorderColor(hp),
             type: 'hairpin5_head',
             primer: p,
             hairpin: hp
           });
           addHighlight(chars, compStart, compEnd, {
             color: "#4169E1",
-            borderColor: "#1E90FF",
+            borderColor: hairpinBorderColor(hp),
             type: 'hairpin5_comp',
             primer: p,
             hairpin: hp
@@ -190,170 +296,164 @@ function displaySequence(gene, primers, exonJunctions = []) {
         });
       }
       
-      // Hairpin highlights for FIP/BIP
-      if (p.hairpin3) {
-        const hp = p.hairpin3;
-        const leftPartLen = p.left.length;
-        const rightPartStartInSeq = leftPartLen;
-        const tail3StartInSeq = hp.pos3PrimeStart;
-        const tail3EndInSeq = hp.pos3PrimeEnd;
-        const compStartInSeq = hp.posUpstreamStart;
-        const compEndInSeq = hp.posUpstreamEnd;
-        
-        if (p.rightStart !== undefined && p.rightStart !== -1) {
-          if (tail3StartInSeq >= rightPartStartInSeq) {
-            const offsetInRight = tail3StartInSeq - rightPartStartInSeq;
-            const tail3Start = p.rightStart + offsetInRight;
-            const tail3End = p.rightStart + (tail3EndInSeq - rightPartStartInSeq);
-            
-            addHighlight(chars, tail3Start, tail3End, {
-              color: "#FF1493",
-              borderColor: "#FF1493",
-              type: 'hairpin3_tail',
-              primer: p,
-              hairpin: hp
-            });
-          }
-          
-          if (compStartInSeq >= rightPartStartInSeq) {
-            const offsetInRight = compStartInSeq - rightPartStartInSeq;
-            const compStart = p.rightStart + offsetInRight;
-            const compEnd = p.rightStart + (compEndInSeq - rightPartStartInSeq);
-            
-            addHighlight(chars, compStart, compEnd, {
-              color: "#C71585",
-              borderColor: "#FF1493",
-              type: 'hairpin3_comp',
-              primer: p,
-              hairpin: hp
-            });
-          }
-        }
-        
-        if (p.leftStart !== undefined && p.leftStart !== -1) {
-          if (compStartInSeq < leftPartLen) {
-            const compStartOnGene = p.leftStart + (leftPartLen - compEndInSeq);
-            const compEndOnGene = p.leftStart + (leftPartLen - compStartInSeq);
-            
-            addHighlight(chars, compStartOnGene, compEndOnGene, {
-              color: "#C71585",
-              borderColor: "#FF1493",
-              type: 'hairpin3_comp',
-              primer: p,
-              hairpin: hp
-            });
-          }
-        }
-      }
-      
-      if (p.hairpin5) {
-        const hp = p.hairpin5;
-        const leftPartLen = p.left.length;
-        const rightPartStartInSeq = leftPartLen;
-        const head5StartInSeq = hp.pos5PrimeStart;
-        const head5EndInSeq = hp.pos5PrimeEnd;
-        const compStartInSeq = hp.posDownstreamStart;
-        const compEndInSeq = hp.posDownstreamEnd;
-        
-        if (p.leftStart !== undefined && p.leftStart !== -1) {
-          if (head5StartInSeq < leftPartLen) {
-            const head5StartOnGene = p.leftStart + (leftPartLen - head5EndInSeq);
-            const head5EndOnGene = p.leftStart + (leftPartLen - head5StartInSeq);
-            
-            addHighlight(chars, head5StartOnGene, head5EndOnGene, {
-              color: "#1E90FF",
-              borderColor: "#1E90FF",
-              type: 'hairpin5_head',
-              primer: p,
-              hairpin: hp
-            });
-          }
-          
-          if (compStartInSeq < leftPartLen) {
-            const compStartOnGene = p.leftStart + (leftPartLen - compEndInSeq);
-            const compEndOnGene = p.leftStart + (leftPartLen - compStartInSeq);
-            
-            addHighlight(chars, compStartOnGene, compEndOnGene, {
-              color: "#4169E1",
-              borderColor: "#1E90FF",
-              type: 'hairpin5_comp',
-              primer: p,
-              hairpin: hp
-            });
-          }
-        }
-        
-        if (p.rightStart !== undefined && p.rightStart !== -1) {
-          if (head5EndInSeq > leftPartLen) {
-            const offsetInRight = Math.max(0, head5StartInSeq - rightPartStartInSeq);
-            const head5Start = p.rightStart + offsetInRight;
-            const head5End = p.rightStart + (head5EndInSeq - rightPartStartInSeq);
-            
-            addHighlight(chars, head5Start, head5End, {
-              color: "#1E90FF",
-              borderColor: "#1E90FF",
-              type: 'hairpin5_head',
-              primer: p,
-              hairpin: hp
-            });
-          }
-          
-          if (compEndInSeq > leftPartLen) {
-            const offsetInRight = Math.max(0, compStartInSeq - rightPartStartInSeq);
-            const compStart = p.rightStart + offsetInRight;
-            const compEnd = p.rightStart + (compEndInSeq - rightPartStartInSeq);
-            
-            addHighlight(chars, compStart, compEnd, {
-              color: "#4169E1",
-              borderColor: "#1E90FF",
-              type: 'hairpin5_comp',
-              primer: p,
-              hairpin: hp
-            });
-          }
-        }
-      }
+      // Hairpin highlights for FIP/BIP: each arm mapped onto the part(s)
+      // it lies in, whichever order the parts bind in
+      const innerHairpinArms = [
+        [p.hairpin3, "pos3PrimeStart", "pos3PrimeEnd", "#FF1493", 'hairpin3_tail'],
+        [p.hairpin3, "posUpstreamStart", "posUpstreamEnd", "#C71585", 'hairpin3_comp'],
+        [p.hairpin5, "pos5PrimeStart", "pos5PrimeEnd", "#1E90FF", 'hairpin5_head'],
+        [p.hairpin5, "posDownstreamStart", "posDownstreamEnd", "#4169E1", 'hairpin5_comp']
+      ];
+      innerHairpinArms.forEach(([hp, fromKey, toKey, color, type]) => {
+        if (!hp) return;
+        mapPrimerRangeToGene(p, hp[fromKey], hp[toKey]).forEach(range => {
+          addHighlight(chars, range.start, range.end, {
+            color: color,
+            borderColor: hairpinBorderColor(hp),
+            type: type,
+            primer: p,
+            hairpin: hp
+          });
+        });
+      });
     }
+    
+    // Full-length scan folds not already shown as 3'/5' end hairpins
+    // (internal stems, folds across the F1c/F2 or B1c/B2 junction)
+    (p.hairpinScan || []).forEach(hit => {
+      if (isEndHairpinDuplicate(p, hit)) return;
+      
+      [[hit.arm5Start, hit.arm5End], [hit.arm3Start, hit.arm3End]].forEach(([from, to]) => {
+        mapPrimerRangeToGene(p, from, to).forEach(range => {
+          addHighlight(chars, range.start, range.end, {
+            color: "#BA68C8",
+            borderColor: hairpinBorderColor(hit),
+            borderStyle: "dashed",
+            type: 'hairpin_scan',
+            primer: p,
+            hairpin: hit
+          });
+        });
+      });
+    });
   });
 
-  // Render with tooltips and exon junction markers
-  let html = '';
-  chars.forEach((charObj, idx) => {
-    // Render the base
-    if (charObj.highlights.length === 0) {
-      html += charObj.base;
-    } else {
-      // Use the top-most (last added) highlight for visual styling
-      const topHighlight = charObj.highlights[charObj.highlights.length - 1];
-      const border = topHighlight.borderColor ? 
-        `border: 2px solid ${topHighlight.borderColor}; font-weight: bold;` : "";
-      
-      // Generate tooltip content from ALL highlights at this position
-      const tooltipText = generateTooltip(charObj.highlights, charObj.index);
-      
-      html += `<span class="sequence-base" 
-                    style="background:${topHighlight.color}; padding:2px; border-radius:3px; ${border}" 
-                    data-tooltip="${tooltipText}">${charObj.base}</span>`;
-    }
+  // Template bases the primer does not match (mismatch-tolerant search).
+  // Added last so they sit on top of every other highlight
+  primers.forEach(p => {
+    (p.mismatchPositions || []).forEach(k => {
+      mapPrimerRangeToGene(p, k, k + 1).forEach(range => {
+        addHighlight(chars, range.start, range.end, {
+          color: "#d32f2f",
+          textColor: "#fff",
+          type: 'mismatch',
+          primer: p,
+          expected: templateBaseForPrimer(p, k)
+        });
+      });
+    });
+  });
+
+  return chars;
+}
+
+/* -----------------------
+   Primer → Gene Coordinate Mapping
+   Converts a 0-indexed, end-exclusive range of the primer sequence
+   into gene ranges. Reverse-complement binding flips the range; for
+   FIP/BIP the range is clipped at the junction, the F1c/B1c part
+   binding as RC and the F2/B2 part forward (innerPrimerParts gives
+   their order in the sequence).
+   Returns [{ start, end, part }], empty if the primer is unplaced
+------------------------ */
+function mapPrimerRangeToGene(p, from, to) {
+  const ranges = [];
+  
+  if (p.isInner) {
+    if (p.left === undefined) return ranges;
     
-    // Add exon junction marker after this base if position matches
-    // Junction at position N means: junction appears after base at index N-1
-    if (exonJunctions.includes(idx + 1)) {
-      html += `<span class="exon-junction" data-position="${idx + 1}" title="Exon junction at position ${idx + 1}"></span>`;
+    innerPrimerParts(p).forEach(part => {
+      const partFrom = Math.max(from, part.offset) - part.offset;
+      const partTo = Math.min(to, part.offset + part.seq.length) - part.offset;
+      if (partFrom >= partTo || part.start === undefined || part.start === -1) return;
+      const len = part.seq.length;
+      ranges.push(part.bindsAsRC
+        ? { start: part.start + (len - partTo), end: part.start + (len - partFrom), part: part.type }
+        : { start: part.start + partFrom, end: part.start + partTo, part: part.type });
+    });
+  } else if (p.start !== -1) {
+    const len = p.seq.length;
+    if (p.orientation === "forward") {
+      ranges.push({ start: p.start + from, end: p.start + to, part: null });
+    } else if (p.orientation === "reverse (RC)") {
+      ranges.push({ start: p.start + (len - to), end: p.start + (len - from), part: null });
     }
-  });
+  }
+  
+  return ranges;
+}
 
-  viewer.innerHTML = html;
+// Template base that would pair perfectly with primer base k
+// (the base itself where the primer binds forward, its complement
+// where it binds as RC - regular reverse primers and F1c/B1c parts)
+function templateBaseForPrimer(p, k) {
+  const base = p.seq[k];
+  const bindsAsRC = p.isInner
+    ? innerPrimerParts(p).find(part => k < part.offset + part.seq.length).bindsAsRC
+    : p.orientation === "reverse (RC)";
+  return bindsAsRC ? revcomp(base) : base;
+}
+
+// Which FIP/BIP part a primer range falls in ("F1c", "F2" or "F1c/F2 junction")
+function primerPartLabel(p, from, to) {
+  if (!p.isInner || p.left === undefined) return null;
+  const [first, second] = innerPrimerParts(p);
+  if (to <= second.offset) return first.type;
+  if (from >= second.offset) return second.type;
+  return `${first.type}/${second.type} junction`;
+}
+
+// Hairpin borders are coloured by ΔG severity so stable folds stand out
+function hairpinBorderColor(hairpin) {
+  return severityColors[classifyDeltaG(hairpin.dG)].border;
 }
 
 function addHighlight(chars, start, end, highlightInfo) {
   if (start < 0 || start === undefined || end === undefined) return;
-  for (let i = start; i < end && i < chars.length; i++) {
-    chars[i].highlights.push(highlightInfo);
+  // end > chars.length only on circular templates: wrap past the origin
+  for (let i = start; i < end && i < start + chars.length; i++) {
+    chars[i % chars.length].highlights.push(highlightInfo);
+  }
+}
+
+// Stem/loop summary with ΔG and severity for tooltips
+function describeHairpin(hp) {
+  let text = `stem: ${hp.stemLength}bp, loop: ${hp.loopLength}bp`;
+  if (hp.mismatches) text += `, ${hp.mismatches} mismatch`;
+  if (hp.wobbles) text += `, ${hp.wobbles} G·T`;
+  if (hp.dG !== undefined) {
+    text += `, ΔG: ${hp.dG.toFixed(1)} kcal/mol, ${severityColors[classifyDeltaG(hp.dG)].label}`;
   }
+  return text;
+}
+
+// Fold type and arm locations for a full-scan hit, e.g.
+// "Internal fold 9-15 ↔ 20-26 (F1c ↔ F1c/F2 junction)"
+function describeScanHit(p, hit) {
+  const labels = { internal: "Internal fold", "3prime": "3′-end fold", "5prime": "5′-end fold" };
+  let text = `${labels[hit.type]} ${hit.arm5Start + 1}-${hit.arm5End} ↔ ${hit.arm3Start + 1}-${hit.arm3End}`;
+  const part5 = primerPartLabel(p, hit.arm5Start, hit.arm5End);
+  const part3 = primerPartLabel(p, hit.arm3Start, hit.arm3End);
+  if (part5 && part3) text += ` (${part5} ↔ ${part3})`;
+  return text;
 }
 
-function generateTooltip(highlights, position) {
+// "R = A/G" style description of an IUPAC ambiguity code
+function describeIupac(base) {
+  return `IUPAC ${base} = ${IUPAC_CODES[base].split("").join("/")}`;
+}
+
+function generateTooltip(highlights, position, base) {
   const parts = [];
   
   highlights.forEach(h => {
@@ -362,16 +462,27 @@ function generateTooltip(highlights, position) {
     } else if (h.type === 'fip_bip_part') {
       parts.push(`${h.primer.name} - ${h.partType}`);
     } else if (h.type === 'hairpin3_tail') {
-      parts.push(`3′ hairpin tail (stem: ${h.hairpin.stemLength}bp, loop: ${h.hairpin.loopLength}bp)`);
+      parts.push(`3′ hairpin tail (${describeHairpin(h.hairpin)})`);
     } else if (h.type === 'hairpin3_comp') {
       parts.push(`3′ hairpin complement`);
     } else if (h.type === 'hairpin5_head') {
-      parts.push(`5′ hairpin head (stem: ${h.hairpin.stemLength}bp, loop: ${h.hairpin.loopLength}bp)`);
+      parts.push(`5′ hairpin head (${describeHairpin(h.hairpin)})`);
     } else if (h.type === 'hairpin5_comp') {
       parts.push(`5′ hairpin complement`);
+    } else if (h.type === 'hairpin_scan') {
+      parts.push(`${describeScanHit(h.primer, h.hairpin)} (${describeHairpin(h.hairpin)})`);
+    } else if (h.type === 'off_target') {
+      const label = h.partType ? `${h.primer.name} - ${h.partType}` : h.primer.name;
+      parts.push(`${label} off-target site (#${h.siteNumber} of ${h.primer.bindingSites.length})`);
+    } else if (h.type === 'mismatch') {
+      parts.push(`${h.primer.name} mismatch (template ${base}, primer expects ${h.expected})`);
     }
   });
   
+  if (base && isAmbiguousBase(base)) {
+    parts.push(`${describeIupac(base)} (partial match)`);
+  }
+  
   parts.push(`Position: ${position + 1}`);
   
   // Escape quotes for HTML attribute
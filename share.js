@@ -0,0 +1,83 @@
+/* ================================================================
+   SHARE.JS - Shareable Links
+   Contains: project state packed into the URL fragment (deflate +
+             base64url), size guard, decoding of opened links
+   No DOM access (button and page-load restore in ui.js / app.js)
+   ================================================================ */
+
+/* -----------------------
+   Fragment Format
+   #share=<codec>.<payload>
+   - codec "d": project JSON (project.js format), deflate-raw
+     compressed, base64url encoded
+   - codec "j": same JSON without compression, for browsers without
+     CompressionStream
+   The fragment never reaches a server, so the design stays private
+   between whoever holds the link
+------------------------ */
+const SHARE_PARAM = "share";
+
+// Longer links get cut off by mail and chat clients
+const SHARE_MAX_URL_LENGTH = 16000;
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Run bytes through a (De)CompressionStream
+async function transformBytes(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/* -----------------------
+   Encode / Decode
+   encodeShareFragment returns the fragment without "#";
+   decodeShareFragment returns a project (see parseProject) or null
+   when the fragment is not a share link. Broken links throw
+------------------------ */
+async function encodeShareFragment(project) {
+  const { savedAt, ...state } = project;
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+
+  if (typeof CompressionStream === "undefined") {
+    return `${SHARE_PARAM}=j.${toBase64Url(bytes)}`;
+  }
+  const compressed = await transformBytes(bytes, new CompressionStream("deflate-raw"));
+  return `${SHARE_PARAM}=d.${toBase64Url(compressed)}`;
+}
+
+async function decodeShareFragment(fragment) {
+  const match = fragment.replace(/^#/, "").match(new RegExp(`^${SHARE_PARAM}=([dj])\\.([A-Za-z0-9_-]+)$`));
+  if (!match) return null;
+
+  let bytes;
+  try {
+    bytes = fromBase64Url(match[2]);
+    if (match[1] === "d") {
+      bytes = await transformBytes(bytes, new DecompressionStream("deflate-raw"));
+    }
+  } catch (e) {
+    throw new Error("The share link is damaged or incomplete");
+  }
+  return parseProject(new TextDecoder().decode(bytes));
+}
+
+/* -----------------------
+   Build a Share URL
+   Returns { url, length, tooLong }; tooLong links should not be
+   handed out (save a project file instead)
+------------------------ */
+async function buildShareUrl(baseUrl, project) {
+  const url = `${baseUrl.split("#")[0]}#${await encodeShareFragment(project)}`;
+  return { url, length: url.length, tooLong: url.length > SHARE_MAX_URL_LENGTH };
+}
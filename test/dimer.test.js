@@ -0,0 +1,75 @@
+/* ================================================================
+   TEST/DIMER.TEST.JS - Dimer Directions
+   checkDimer reports each primer whose 3' end binds the other,
+   checkSelfDimer one copy onto another. Poly-A fixtures again: only
+   the designed G/C ends can pair
+   ================================================================ */
+
+const test = require("node:test");
+const assert = require("assert");
+const { loadLamp } = require("./helpers.js");
+
+const lamp = loadLamp();
+
+// P1's 3' end GCGG pairs with CCGC at offset 3 of P2
+const P1 = "AAAAAAAAAAAAGCGG";
+const P2 = "AAACCGCAAAAAAAAA";
+
+test("a 3' end binding the other primer is p1_to_p2", () => {
+  const dimers = lamp.checkDimer("P1", P1, "P2", P2);
+  assert.equal(dimers.length, 1);
+  assert.equal(dimers[0].direction, "p1_to_p2");
+  assert.equal(dimers[0].primer1, "P1");
+  assert.equal(dimers[0].primer2, "P2");
+  assert.equal(dimers[0].primer1_3prime, "GCGG");
+  assert.equal(dimers[0].matchLength, 4);
+  assert.equal(dimers[0].bindingPos, 3);
+});
+
+test("the same pair given the other way round is p2_to_p1", () => {
+  const dimers = lamp.checkDimer("P2", P2, "P1", P1);
+  assert.equal(dimers.length, 1);
+  assert.equal(dimers[0].direction, "p2_to_p1");
+  // primer1 is always the primer whose 3' end binds
+  assert.equal(dimers[0].primer1, "P1");
+  assert.equal(dimers[0].primer2, "P2");
+  assert.equal(dimers[0].bindingPos, 3);
+});
+
+test("both 3' ends binding give one dimer per direction", () => {
+  // P3 ends in CCCG, whose complement CGGG sits at offset 2 of P4
+  const P3 = "AAGCGGAAAAAACCCG";
+  const P4 = "AACGGGAAAACCGC";
+  const dimers = lamp.checkDimer("P3", P3, "P4", P4);
+  assert.deepEqual(dimers.map(d => [d.direction, d.primer1, d.matchLength, d.bindingPos]), [
+    ["p1_to_p2", "P3", 4, 2],
+    ["p2_to_p1", "P4", 4, 2]
+  ]);
+});
+
+test("the longest 3' end match is reported, up to 8 bases", () => {
+  const end = "GGCGCGGC";
+  const dimers = lamp.checkDimer("P1", "AAAAAAAA" + "G" + end, "P2", "AA" + lamp.revcomp("G" + end) + "AA");
+  assert.equal(dimers[0].matchLength, 8);
+  assert.equal(dimers[0].primer1_3prime, end);
+});
+
+test("matches shorter than minMatch are ignored", () => {
+  assert.equal(lamp.checkDimer("P1", P1, "P2", P2, 5).length, 0);
+});
+
+test("a self-dimer is reported once with direction self", () => {
+  const seq = "AACCGCAAAAAAGCGG";
+  const dimers = lamp.checkSelfDimer("S", seq);
+  assert.equal(dimers.length, 1);
+  assert.equal(dimers[0].direction, "self");
+  assert.equal(dimers[0].isSelf, true);
+  assert.equal(dimers[0].primer1, "S");
+  assert.equal(dimers[0].primer2, "S");
+  assert.equal(dimers[0].bindingPos, 2);
+});
+
+test("primers that cannot pair have no dimers", () => {
+  assert.equal(lamp.checkDimer("A", "ACCACACCAACACC", "B", "CACCAACCACAACC").length, 0);
+  assert.equal(lamp.checkSelfDimer("A", "ACCACACCAACACC").length, 0);
+});
@@ -0,0 +1,69 @@
+/* ================================================================
+   TEST/HELPERS.JS - Shared Test Setup
+   Contains: library context (with sequence.js for highlight
+             mapping), fixture template builders, JSON snapshots
+   Run the suite with: npm test (node --test)
+   ================================================================ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { createLampContext } = require("../node/index.js");
+
+// One context for every test file: the scripts are pure functions.
+// sequence.js (not part of the library) is added for annotateSequence
+// and the highlight mapping; it only touches the DOM when rendering
+function loadLamp() {
+  const context = createLampContext();
+  const file = path.join(__dirname, "..", "sequence.js");
+  vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: "sequence.js" });
+  return context;
+}
+
+/* -----------------------
+   Fixture Templates
+   Deterministic pseudo-random bases (Park-Miller), so fixtures are the
+   same on every run without being stored. The first draws of a small
+   seed are tiny (all A), so they are skipped
+------------------------ */
+function randomBases(length, seed = 7) {
+  let state = seed;
+  for (let i = 0; i < 10; i++) state = (state * 16807) % 2147483647;
+  let bases = "";
+  for (let i = 0; i < length; i++) {
+    state = (state * 16807) % 2147483647;
+    bases += "ACGT"[Math.floor((state / 2147483647) * 4)];
+  }
+  return bases;
+}
+
+const COMPLEMENT = { A: "T", T: "A", G: "C", C: "G" };
+
+function rc(seq) {
+  return seq.split("").reverse().map(b => COMPLEMENT[b]).join("");
+}
+
+/* -----------------------
+   Snapshots
+   test/snapshots/<file>.json holds named values. A missing or changed
+   entry fails the test; UPDATE_SNAPSHOTS=1 writes it instead
+------------------------ */
+const SNAPSHOT_DIR = path.join(__dirname, "snapshots");
+
+function matchSnapshot(file, name, value) {
+  const snapshotPath = path.join(SNAPSHOT_DIR, `${file}.json`);
+  const stored = fs.existsSync(snapshotPath) ? JSON.parse(fs.readFileSync(snapshotPath, "utf8")) : {};
+  const actual = JSON.parse(JSON.stringify(value));
+
+  if (process.env.UPDATE_SNAPSHOTS) {
+    stored[name] = actual;
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(snapshotPath, JSON.stringify(stored, null, 2) + "\n");
+    return;
+  }
+  assert.ok(name in stored, `snapshot "${name}" missing from ${file}.json (UPDATE_SNAPSHOTS=1 to write it)`);
+  assert.deepStrictEqual(actual, stored[name], `snapshot "${name}" in ${file}.json changed (UPDATE_SNAPSHOTS=1 to accept)`);
+}
+
+module.exports = { loadLamp, randomBases, rc, matchSnapshot };
@@ -0,0 +1,136 @@
+/* ================================================================
+   TEST/HIGHLIGHTS.TEST.JS - Highlight Ranges for Rendering
+   annotateSequence (sequence.js) collapsed to template ranges, for
+   primers binding forward and as RC and FIP/BIP in both part orders.
+   Exact expectations for the hairpin arms, snapshots for the rest
+   ================================================================ */
+
+const test = require("node:test");
+const assert = require("assert");
+const { loadLamp, randomBases, rc, matchSnapshot } = require("./helpers.js");
+
+const lamp = loadLamp();
+
+// 3' end fold with a 5bp stem: CCGCC AAAA GGCGG
+const FOLD = "CCGCCAAAAGGCGG";
+
+// Primer sequences with the fold at the 3' end (or 5' end for LB)
+const B3 = randomBases(10, 11) + FOLD;
+const LB = FOLD + randomBases(8, 12);
+const F2 = randomBases(5, 13) + FOLD;
+const F1C_REGION = randomBases(20, 14);
+const B1C_REGION = randomBases(20, 15);
+const B2 = randomBases(5, 16) + FOLD;
+
+// Template: every primer site separated by random spacers (seeds
+// picked so no FIP/BIP part extends past its designed junction)
+const segments = [
+  ["spacer", randomBases(30, 21)],
+  ["B3", rc(B3)],
+  ["spacer", randomBases(20, 22)],
+  ["F2", F2],
+  ["spacer", randomBases(20, 28)],
+  ["F1c", F1C_REGION],
+  ["spacer", randomBases(20, 24)],
+  ["LB", LB],
+  ["spacer", randomBases(20, 25)],
+  ["B1c", B1C_REGION],
+  ["spacer", randomBases(20, 26)],
+  ["B2", rc(B2)],
+  ["spacer", randomBases(30, 27)]
+];
+const gene = segments.map(([, seq]) => seq).join("");
+const siteOf = name => {
+  const idx = segments.findIndex(([label]) => label === name);
+  const start = segments.slice(0, idx).reduce((n, [, seq]) => n + seq.length, 0);
+  return { start, end: start + segments[idx][1].length };
+};
+
+function placedPrimers() {
+  const primers = [
+    { name: "B3", seq: B3 },
+    { name: "FIP", seq: rc(F1C_REGION) + F2 },
+    { name: "LB", seq: LB },
+    { name: "BIP", seq: B1C_REGION + rc(rc(B2)) }
+  ];
+  lamp.attachPrimerPositions(gene, primers);
+  return primers;
+}
+
+// Highlights as { type, primer, part, start, end }; one entry per
+// highlight object (each covers one contiguous run of bases)
+function highlightRanges(chars) {
+  const ranges = new Map();
+  chars.forEach(c => c.highlights.forEach(h => {
+    const range = ranges.get(h);
+    if (range) {
+      range.end = c.index + 1;
+    } else {
+      ranges.set(h, { type: h.type, primer: h.primer.name, part: h.partType || null, start: c.index, end: c.index + 1 });
+    }
+  }));
+  return [...ranges.values()].sort((a, b) => a.start - b.start || a.type.localeCompare(b.type));
+}
+
+const rangesOfType = (ranges, primer, type) => ranges
+  .filter(r => r.primer === primer && r.type === type)
+  .map(r => [r.start, r.end]);
+
+const primers = placedPrimers();
+const ranges = highlightRanges(lamp.annotateSequence(gene, primers));
+
+test("fixture primers bind where they were placed", () => {
+  const [b3, fip, lb, bip] = primers;
+  assert.deepEqual([b3.start, b3.end, b3.orientation], [siteOf("B3").start, siteOf("B3").end, "reverse (RC)"]);
+  assert.deepEqual([lb.start, lb.orientation], [siteOf("LB").start, "forward"]);
+  assert.deepEqual([fip.leftType, fip.leftStart, fip.rightType, fip.rightStart, fip.splitReversed],
+    ["F1c", siteOf("F1c").start, "F2", siteOf("F2").start, false]);
+  assert.deepEqual([bip.leftType, bip.leftStart, bip.rightType, bip.rightStart, bip.splitReversed],
+    ["B2", siteOf("B2").start, "B1c", siteOf("B1c").start, true]);
+  // The split lands exactly on the designed junctions
+  assert.deepEqual([fip.left.length, fip.right.length, bip.right.length, bip.left.length], [20, 19, 20, 19]);
+  primers.forEach(p => assert.equal(p.hairpin3 && p.hairpin3.stemLength, p.name === "LB" ? undefined : 5, p.name));
+  assert.equal(lb.hairpin5.stemLength, 5);
+});
+
+test("RC primer: the 3' tail is at the start of its site", () => {
+  const site = siteOf("B3");
+  assert.deepEqual(rangesOfType(ranges, "B3", "hairpin3_tail"), [[site.start, site.start + 5]]);
+  assert.deepEqual(rangesOfType(ranges, "B3", "hairpin3_comp"), [[site.start + 9, site.start + 14]]);
+});
+
+test("forward primer: the 5' head is at the start of its site", () => {
+  const site = siteOf("LB");
+  assert.deepEqual(rangesOfType(ranges, "LB", "hairpin5_head"), [[site.start, site.start + 5]]);
+  assert.deepEqual(rangesOfType(ranges, "LB", "hairpin5_comp"), [[site.start + 9, site.start + 14]]);
+});
+
+test("FIP: a 3' hairpin in F2 (forward) is at the end of the F2 site", () => {
+  const site = siteOf("F2");
+  assert.deepEqual(rangesOfType(ranges, "FIP", "hairpin3_tail"), [[site.end - 5, site.end]]);
+  assert.deepEqual(rangesOfType(ranges, "FIP", "hairpin3_comp"), [[site.end - 14, site.end - 9]]);
+});
+
+test("BIP (reversed split): a 3' hairpin in B2 (RC) is at the start of the B2 site", () => {
+  const site = siteOf("B2");
+  assert.deepEqual(rangesOfType(ranges, "BIP", "hairpin3_tail"), [[site.start, site.start + 5]]);
+  assert.deepEqual(rangesOfType(ranges, "BIP", "hairpin3_comp"), [[site.start + 9, site.start + 14]]);
+});
+
+test("primer ranges map back to the parts they lie in", () => {
+  const [, fip, , bip] = primers;
+  // First base of each inner primer, and a range across its junction
+  assert.deepEqual(lamp.mapPrimerRangeToGene(fip, 0, 1), [{ start: siteOf("F1c").end - 1, end: siteOf("F1c").end, part: "F1c" }]);
+  assert.deepEqual(lamp.mapPrimerRangeToGene(bip, 0, 1), [{ start: siteOf("B1c").start, end: siteOf("B1c").start + 1, part: "B1c" }]);
+  assert.deepEqual(lamp.mapPrimerRangeToGene(bip, 18, 22), [
+    { start: siteOf("B1c").start + 18, end: siteOf("B1c").end, part: "B1c" },
+    { start: siteOf("B2").end - 2, end: siteOf("B2").end, part: "B2" }
+  ]);
+  assert.equal(lamp.primerPartLabel(bip, 18, 22), "B1c/B2 junction");
+  assert.equal(lamp.templateBaseForPrimer(bip, 0), bip.seq[0]);
+  assert.equal(lamp.templateBaseForPrimer(bip, bip.seq.length - 1), lamp.revcomp(bip.seq[bip.seq.length - 1]));
+});
+
+test("highlight ranges snapshot", () => {
+  matchSnapshot("highlights", "lamp set", { geneLength: gene.length, ranges });
+});
@@ -0,0 +1,54 @@
+/* ================================================================
+   TEST/JOBS.TEST.JS - Analysis Jobs
+   runLampJob (pipeline.js), the entry point worker.js and the in-page
+   fallback share: results match the direct calls, progress runs
+   through every stage to its total, unknown jobs are refused
+   ================================================================ */
+
+const test = require("node:test");
+const assert = require("assert");
+const { loadLamp, randomBases, rc } = require("./helpers.js");
+
+const lamp = loadLamp();
+
+const gene = randomBases(200, 31);
+const setA = "F3=" + gene.slice(10, 30) + "\nB3=" + rc(gene.slice(150, 170));
+const setB = "F3=" + gene.slice(40, 60) + "\nB3=" + rc(gene.slice(120, 140));
+
+function collectProgress() {
+  const events = [];
+  return { events, onProgress: progress => events.push(progress) };
+}
+
+test("a dimers job reports each primer and matches checkAllDimers", () => {
+  const primers = [{ name: "P1", seq: "AAAAAAAAAAAAGCGG" }, { name: "P2", seq: "AAACCGCAAAAAAAAA" }];
+  const { events, onProgress } = collectProgress();
+  const dimers = lamp.runLampJob({ type: "dimers", primers, mode: "exact" }, onProgress);
+  assert.deepEqual(dimers, lamp.checkAllDimers(primers, "exact"));
+  assert.deepEqual(events.map(e => [e.stage, e.done, e.total]),
+    [["dimers", 0, 2], ["dimers", 1, 2], ["dimers", 2, 2]]);
+});
+
+test("an analyze job runs every stage through to its total", () => {
+  const primerSets = lamp.parsePrimerSets(`[A]\n${setA}\n[B]\n${setB}`);
+  const { events, onProgress } = collectProgress();
+  const analysis = lamp.runLampJob({ type: "analyze", gene, primerSets, activeIndex: 0, settings: {}, siteSelections: {} }, onProgress);
+
+  assert.deepEqual(analysis.primers.map(p => [p.name, p.start, p.end]), [["F3", 10, 30], ["B3", 150, 170]]);
+  assert.equal(analysis.setComparison.length, 2);
+
+  const stages = [...new Set(events.map(e => e.stage))];
+  assert.deepEqual(stages, ["sites", "hairpins", "dimers", "sets"]);
+  stages.forEach(stage => {
+    const last = events.filter(e => e.stage === stage).pop();
+    assert.equal(last.done, last.total, stage);
+  });
+});
+
+test("unknown job types throw", () => {
+  assert.throws(() => lamp.runLampJob({ type: "design" }), /Unknown job type: design/);
+});
+
+test("debug logging is off by default", () => {
+  assert.equal(lamp.isDebugLogging(), false);
+});
@@ -0,0 +1,77 @@
+/* ================================================================
+   TEST/PROJECT.TEST.JS - Reading Project Files
+   parseProject (project.js) on files from other tools or edited by
+   hand: what is refused, and which fields fall back to defaults
+   ================================================================ */
+
+const test = require("node:test");
+const assert = require("assert");
+const { loadLamp } = require("./helpers.js");
+
+const lamp = loadLamp();
+
+const projectText = fields => JSON.stringify({
+  format: "lamp-primer-project",
+  version: 1,
+  geneInput: ">x\nACGTACGTACGT",
+  primers: [{ name: "F3", seq: "ACGTACGT" }],
+  ...fields
+});
+
+test("files that are not projects are refused", () => {
+  assert.throws(() => lamp.parseProject("{"), /invalid JSON/);
+  assert.throws(() => lamp.parseProject("{}"), /Not a LAMP primer project file/);
+  assert.throws(() => lamp.parseProject(projectText({ version: 2 })), /newer than this tool supports/);
+  assert.throws(() => lamp.parseProject(projectText({ primers: null })), /missing the gene or primers/);
+});
+
+test("valid settings are kept", () => {
+  const settings = { hairpinMode: "thermo", dimerMode: "exact", maxMismatches: 6, circular: true };
+  assert.deepEqual(lamp.parseProject(projectText({ settings })).settings, settings);
+});
+
+test("unknown and invalid settings are dropped", () => {
+  const project = lamp.parseProject(projectText({
+    settings: { hairpinMode: "fast", dimerMode: undefined, maxMismatches: 7, circular: "yes", extra: 1 }
+  }));
+  assert.deepEqual(project.settings, {});
+  assert.deepEqual(lamp.parseProject(projectText({ settings: { maxMismatches: 1.5 } })).settings, {});
+  assert.deepEqual(lamp.parseProject(projectText({ settings: "thermo" })).settings, {});
+});
+
+test("an empty set list reads as a single-set project", () => {
+  const project = lamp.parseProject(projectText({ sets: [], activeSet: 3 }));
+  assert.equal(project.sets, null);
+  assert.equal(lamp.projectPrimerText(project), "F3=ACGTACGT");
+});
+
+test("indexes that are not counts fall back to 0", () => {
+  const project = lamp.parseProject(projectText({ activeSet: -1, recordIndex: "2" }));
+  assert.equal(project.activeSet, 0);
+  assert.equal(project.recordIndex, 0);
+});
+
+test("primers and sets with unusable names or sequences are dropped", () => {
+  const project = lamp.parseProject(projectText({
+    primers: [
+      { name: "F3", seq: "ACGTACGT" },
+      { name: "B3<img src=x onerror=alert(1)>", seq: "ACGTACGT" },
+      { name: "FIP", seq: "ACGT<b>" },
+      { name: "LF\nLB=ACGT", seq: "ACGT" },
+      { name: 3, seq: "ACGT" }
+    ],
+    sets: [
+      { name: "Set A", primers: [{ name: "F3", seq: "ACGT" }, { name: "B3", seq: "AC GT" }] },
+      { name: "<script>", primers: [{ name: "F3", seq: "ACGT" }] },
+      { name: "Set C" }
+    ]
+  }));
+  assert.deepEqual(project.primers.map(p => p.name), ["F3"]);
+  assert.deepEqual(project.sets.map(set => set.name), ["Set A"]);
+  assert.deepEqual(project.sets[0].primers.map(p => p.name), ["F3"]);
+});
+
+test("binding site picks that are not strings are dropped", () => {
+  const project = lamp.parseProject(projectText({ siteSelections: { F3: "2", B3: { x: 1 }, LF: 4 } }));
+  assert.deepEqual(project.siteSelections, { F3: "2" });
+});
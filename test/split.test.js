@@ -0,0 +1,98 @@
+/* ================================================================
+   TEST/SPLIT.TEST.JS - FIP/BIP Splitting
+   splitInnerPrimer in both binding orders, and the part layout that
+   placement and highlighting build on (innerPrimerParts), and the
+   capped list of part site pairs
+   ================================================================ */
+
+const test = require("node:test");
+const assert = require("assert");
+const { loadLamp, randomBases, rc } = require("./helpers.js");
+
+const lamp = loadLamp();
+const gene = randomBases(300);
+const region = (start, end) => gene.slice(start, end);
+
+// FIP = F1c + F2: F1c binds as RC at 100-120, F2 forward at 50-68
+const FIP = rc(region(100, 120)) + region(50, 68);
+// BIP = B1c + B2 with B1c forward at 130-150 and B2 as RC at 180-198:
+// the split matches in the reverse order
+const BIP = region(130, 150) + rc(region(180, 198));
+
+test("FIP splits with F1c binding as RC and F2 forward", () => {
+  const split = lamp.splitInnerPrimer(FIP, gene, true);
+  assert.equal(split.found, true);
+  assert.equal(split.reversed, false);
+  assert.equal(split.leftType, "F1c");
+  assert.equal(split.left, rc(region(100, 120)));
+  assert.deepEqual([split.leftStart, split.leftEnd], [100, 120]);
+  assert.equal(split.rightType, "F2");
+  assert.equal(split.right, region(50, 68));
+  assert.deepEqual([split.rightStart, split.rightEnd], [50, 68]);
+  assert.equal(split.mismatchScore, 0);
+});
+
+test("BIP splits in reverse order with the RC-binding B2 part as left", () => {
+  const split = lamp.splitInnerPrimer(BIP, gene, false);
+  assert.equal(split.found, true);
+  assert.equal(split.reversed, true);
+  assert.equal(split.leftType, "B2");
+  assert.equal(split.left, rc(region(180, 198)));
+  assert.deepEqual([split.leftStart, split.leftEnd], [180, 198]);
+  assert.equal(split.rightType, "B1c");
+  assert.equal(split.right, region(130, 150));
+  assert.deepEqual([split.rightStart, split.rightEnd], [130, 150]);
+  // The primer is right + left after a reversed split
+  assert.equal(split.right + split.left, BIP);
+});
+
+test("inner primers without a split are reported as not found", () => {
+  const split = lamp.splitInnerPrimer("ACCACACCAACACCACAACCACCACACCAACACCACAACC", gene, true);
+  assert.deepEqual(split, { found: false });
+});
+
+test("placement keeps the part order of the sequence", () => {
+  const primers = [{ name: "FIP", seq: FIP }, { name: "BIP", seq: BIP }];
+  lamp.attachPrimerPositions(gene, primers);
+  const [fip, bip] = primers.map(p => lamp.innerPrimerParts(p));
+
+  assert.deepEqual(fip.map(part => [part.type, part.offset, part.start, part.bindsAsRC]),
+    [["F1c", 0, 100, true], ["F2", 20, 50, false]]);
+  assert.deepEqual(bip.map(part => [part.type, part.offset, part.start, part.bindsAsRC]),
+    [["B1c", 0, 130, false], ["B2", 20, 180, true]]);
+  assert.equal(lamp.joinInnerParts(primers[1], primers[1].left, primers[1].right), BIP);
+});
+
+test("mismatch positions are offsets in the full sequence for both orders", () => {
+  const swap = (seq, k) => seq.slice(0, k) + (seq[k] === "A" ? "C" : "A") + seq.slice(k + 1);
+  // F1c base 2 (5' part, RC) and B1c base 2 (5' part, forward)
+  const primers = [{ name: "FIP", seq: swap(FIP, 2) }, { name: "BIP", seq: swap(BIP, 2) }];
+  lamp.attachPrimerPositions(gene, primers, { maxMismatches: 1 });
+  primers.forEach(p => assert.deepEqual(p.mismatchPositions, [2], p.name));
+
+  // A base inside the 3' part: F2 forward, B2 as RC
+  const primers3 = [{ name: "FIP", seq: swap(FIP, 30) }, { name: "BIP", seq: swap(BIP, 30) }];
+  lamp.attachPrimerPositions(gene, primers3, { maxMismatches: 1 });
+  primers3.forEach(p => assert.deepEqual(p.mismatchPositions, [30], p.name));
+});
+
+test("over the site pair cap the closest FIP part pairs are kept and counted", () => {
+  // Ten F2 and ten F1c copies (100 pairs), the intended pair last and closest
+  const f1 = randomBases(20, 11);
+  const f2 = randomBases(18, 13);
+  const copies = (seq, seed) => Array.from({ length: 9 }, (_, k) => seq + randomBases(40, seed + k)).join("");
+  const repeats = copies(f2, 100) + copies(f1, 200) + f2 + randomBases(12, 300);
+  const template = repeats + f1;
+  const intended = `${repeats.length}-${repeats.length - 12 - 18}`;
+
+  const found = lamp.findInnerBindingSites(template, rc(f1), f2);
+  assert.equal(found.total, 100);
+  assert.equal(found.sites.length, 50);
+  assert.ok(found.sites.some(site => site.key === intended));
+  const starts = found.sites.map(site => [site.leftStart, site.rightStart]);
+  assert.deepEqual(starts, starts.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]));
+
+  const fip = { name: "FIP", isInner: true, bindingSites: found.sites };
+  lamp.chooseIntendedSites([fip]);
+  assert.equal(fip.bindingSites[fip.siteIndex].key, intended);
+});
@@ -0,0 +1,86 @@
+/* ================================================================
+   TEST/VALIDATION.TEST.JS - Overlaps and Length Warnings
+   rangesOverlap / findPrimerOverlaps on linear and circular templates,
+   getPrimerLengthWarnings against PRIMER_LENGTH_RANGES
+   ================================================================ */
+
+const test = require("node:test");
+const assert = require("assert");
+const { loadLamp } = require("./helpers.js");
+
+const lamp = loadLamp();
+
+const regular = (name, start, end) => ({ name, seq: "A".repeat(end - start), start, end });
+const inner = (name, leftType, leftStart, leftEnd, rightType, rightStart, rightEnd) => ({
+  name, isInner: true, seq: "A".repeat(leftEnd - leftStart + rightEnd - rightStart),
+  leftType, leftStart, leftEnd, rightType, rightStart, rightEnd
+});
+
+test("ranges overlap when they share a base", () => {
+  assert.equal(lamp.rangesOverlap(10, 20, 19, 30), true);
+  assert.equal(lamp.rangesOverlap(19, 30, 10, 20), true);
+  assert.equal(lamp.rangesOverlap(10, 30, 15, 20), true);
+});
+
+test("adjacent ranges do not overlap (ends are exclusive)", () => {
+  assert.equal(lamp.rangesOverlap(10, 20, 20, 30), false);
+  assert.equal(lamp.rangesOverlap(20, 30, 10, 20), false);
+});
+
+test("ranges across the origin of a circular template", () => {
+  // 290-305 on a 300bp plasmid covers 290-299 and 0-4
+  assert.equal(lamp.rangesOverlap(290, 305, 2, 10, 300), true);
+  assert.equal(lamp.rangesOverlap(2, 10, 290, 305, 300), true);
+  assert.equal(lamp.rangesOverlap(290, 305, 5, 10, 300), false);
+  // Without the template length the wrap is not seen
+  assert.equal(lamp.rangesOverlap(290, 305, 2, 10), false);
+});
+
+test("overlaps name the FIP/BIP part", () => {
+  const primers = [
+    regular("F3", 20, 40),
+    inner("FIP", "F1c", 100, 120, "F2", 38, 58),
+    regular("LF", 75, 92)
+  ];
+  assert.deepEqual(lamp.findPrimerOverlaps(primers, 0), ["F3 overlaps with FIP (F2)"]);
+  assert.deepEqual(lamp.findPrimerOverlaps(primers, 1), ["FIP (F2) overlaps with F3"]);
+  assert.deepEqual(lamp.findPrimerOverlaps(primers, 2), []);
+  // laterOnly lists each pair once
+  assert.deepEqual(lamp.findPrimerOverlaps(primers, 1, 0, true), []);
+});
+
+test("unplaced primers never overlap", () => {
+  const primers = [regular("F3", 20, 40), { name: "B3", seq: "ACGT", start: -1, end: -1 }];
+  assert.deepEqual(lamp.findPrimerOverlaps(primers, 1), []);
+});
+
+test("lengths at the limits of the recommended range pass", () => {
+  assert.deepEqual(lamp.getPrimerLengthWarnings(regular("F3", 0, 18)), []);
+  assert.deepEqual(lamp.getPrimerLengthWarnings(regular("F3", 0, 22)), []);
+  assert.deepEqual(lamp.getPrimerLengthWarnings(regular("LF", 0, 15)), []);
+});
+
+test("lengths outside the recommended range warn", () => {
+  assert.deepEqual(lamp.getPrimerLengthWarnings(regular("F3", 0, 17)),
+    ["F3 length 17bp is outside recommended 18-22bp"]);
+  assert.deepEqual(lamp.getPrimerLengthWarnings(regular("B3", 0, 23)),
+    ["B3 length 23bp is outside recommended 18-22bp"]);
+  assert.deepEqual(lamp.getPrimerLengthWarnings(regular("LB", 0, 14)),
+    ["LB length 14bp is outside recommended 15-22bp"]);
+});
+
+test("FIP/BIP are checked in total and per part", () => {
+  assert.deepEqual(lamp.getPrimerLengthWarnings(inner("FIP", "F1c", 100, 120, "F2", 50, 68)), []);
+  assert.deepEqual(lamp.getPrimerLengthWarnings(inner("BIP", "B2", 180, 197, "B1c", 130, 150)), [
+    "BIP total length 37bp is outside recommended 38-45bp",
+    "B2 length 17bp is outside recommended 18-22bp"
+  ]);
+  assert.deepEqual(lamp.getPrimerLengthWarnings(inner("FIP", "F1c", 100, 126, "F2", 50, 68)), [
+    "F1c length 26bp is outside recommended 18-25bp"
+  ]);
+});
+
+test("unplaced primers and unknown names get no length warnings", () => {
+  assert.deepEqual(lamp.getPrimerLengthWarnings({ name: "F3", seq: "ACGT", start: -1, end: -1 }), []);
+  assert.deepEqual(lamp.getPrimerLengthWarnings(regular("Probe", 0, 40)), []);
+});
@@ -0,0 +1,389 @@
+/* ================================================================
+   THERMO.JS - Thermodynamic Calculations
+   Contains: nearest-neighbor parameters, melting temperature (Tm),
+             stem-loop free energy (ΔG), duplex alignment for dimers
+             and severity classes
+   ================================================================ */
+
+/* -----------------------
+   SantaLucia (1998) Unified Nearest-Neighbor Parameters
+   ΔH in kcal/mol, ΔS in cal/(K·mol)
+   Keys are 5'→3' dinucleotides on the top strand; each entry also
+   covers its reverse complement (e.g. AA/TT)
+------------------------ */
+const NN_PARAMS = {
+  AA: { dH: -7.9, dS: -22.2 },
+  TT: { dH: -7.9, dS: -22.2 },
+  AT: { dH: -7.2, dS: -20.4 },
+  TA: { dH: -7.2, dS: -21.3 },
+  CA: { dH: -8.5, dS: -22.7 },
+  TG: { dH: -8.5, dS: -22.7 },
+  GT: { dH: -8.4, dS: -22.4 },
+  AC: { dH: -8.4, dS: -22.4 },
+  CT: { dH: -7.8, dS: -21.0 },
+  AG: { dH: -7.8, dS: -21.0 },
+  GA: { dH: -8.2, dS: -22.2 },
+  TC: { dH: -8.2, dS: -22.2 },
+  CG: { dH: -10.6, dS: -27.2 },
+  GC: { dH: -9.8, dS: -24.4 },
+  GG: { dH: -8.0, dS: -19.9 },
+  CC: { dH: -8.0, dS: -19.9 }
+};
+
+// Helix initiation penalties, applied once per terminal base pair
+const NN_INIT = {
+  GC: { dH: 0.1, dS: -2.8 },
+  AT: { dH: 2.3, dS: 4.1 }
+};
+
+// Gas constant in cal/(K·mol)
+const GAS_CONSTANT = 1.987;
+
+// Default reaction conditions (typical LAMP master mix)
+const TM_CONDITIONS = {
+  oligoConc: 0.2e-6,  // Total strand concentration (M)
+  naConc: 50,         // Monovalent cations (mM)
+  mgConc: 8,          // Mg2+ (mM)
+  dntpConc: 1.4       // Total dNTPs (mM)
+};
+
+/* -----------------------
+   Salt Correction
+   Converts Mg2+ to a sodium-equivalent concentration (von Ahsen 2001),
+   free Mg2+ being what is not chelated by dNTPs
+------------------------ */
+function sodiumEquivalent(conditions = TM_CONDITIONS) {
+  const freeMg = Math.max(0, conditions.mgConc - conditions.dntpConc);
+  const naEq = conditions.naConc + 120 * Math.sqrt(freeMg);
+  return naEq / 1000; // mM → M
+}
+
+/* -----------------------
+   Duplex Thermodynamics
+   Sums nearest-neighbor ΔH/ΔS over a perfectly matched duplex.
+   Returns null for sequences shorter than 2 bases or containing
+   non-ACGT characters
+------------------------ */
+function nearestNeighborThermo(seq, conditions = TM_CONDITIONS) {
+  seq = seq.toUpperCase();
+  if (seq.length < 2) return null;
+
+  let dH = 0;
+  let dS = 0;
+
+  for (let i = 0; i < seq.length - 1; i++) {
+    const params = NN_PARAMS[seq.slice(i, i + 2)];
+    if (!params) return null;
+    dH += params.dH;
+    dS += params.dS;
+  }
+
+  // Initiation for each terminal pair
+  [seq[0], seq[seq.length - 1]].forEach(base => {
+    const init = (base === "G" || base === "C") ? NN_INIT.GC : NN_INIT.AT;
+    dH += init.dH;
+    dS += init.dS;
+  });
+
+  // Salt correction applies to entropy only (SantaLucia 1998)
+  dS += 0.368 * (seq.length - 1) * Math.log(sodiumEquivalent(conditions));
+
+  return {
+    dH: dH,
+    dS: dS,
+    dG37: dH - (310.15 * dS) / 1000
+  };
+}
+
+/* -----------------------
+   Melting Temperature (°C)
+   Tm = ΔH / (ΔS + R·ln(CT/4)) for non-self-complementary primers
+------------------------ */
+function calculateTm(seq, conditions = TM_CONDITIONS) {
+  const thermo = nearestNeighborThermo(seq, conditions);
+  if (!thermo) return null;
+
+  const tmKelvin = (thermo.dH * 1000) /
+    (thermo.dS + GAS_CONSTANT * Math.log(conditions.oligoConc / 4));
+
+  return tmKelvin - 273.15;
+}
+
+/* -----------------------
+   Attach Tm to a Primer Object
+   Regular primers get p.tm; FIP/BIP get p.leftTm and p.rightTm for
+   their F1c/F2 (or B1c/B2) parts, since the full inner primer never
+   anneals as one piece
+------------------------ */
+function updatePrimerTm(primer) {
+  if (primer.isInner) {
+    primer.tm = null;
+    primer.leftTm = primer.left ? calculateTm(primer.left) : null;
+    primer.rightTm = primer.right ? calculateTm(primer.right) : null;
+  } else {
+    primer.tm = primer.seq ? calculateTm(primer.seq) : null;
+  }
+}
+
+/* -----------------------
+   Secondary Structure Parameters (ΔG37, kcal/mol)
+   Simplified model for stem-loop scoring:
+   - Watson-Crick stacks use the unified NN values above
+   - Stacks containing a G·T wobble use a single averaged value
+     (Allawi & SantaLucia 1997 G·T stacks are roughly neutral)
+   - Stacks next to a mismatch are treated as destabilizing
+   - Hairpin loop initiation from SantaLucia & Hicks (2004)
+------------------------ */
+const WOBBLE_STACK_DG = -0.3;
+const MISMATCH_STACK_DG = 0.6;
+const TERMINAL_AT_DG = 0.05;
+
+const HAIRPIN_LOOP_DG = {
+  3: 3.5, 4: 3.5, 5: 3.3, 6: 4.0, 7: 4.2, 8: 4.3, 9: 4.5, 10: 4.6,
+  12: 5.0, 14: 5.1, 16: 5.3, 18: 5.5, 20: 5.7, 25: 6.1, 30: 6.3
+};
+
+const WATSON_CRICK = { A: "T", T: "A", C: "G", G: "C" };
+
+// Classify a base pair as Watson-Crick, G·T wobble or mismatch
+function pairType(b1, b2) {
+  if (WATSON_CRICK[b1] === b2) return "wc";
+  if ((b1 === "G" && b2 === "T") || (b1 === "T" && b2 === "G")) return "wobble";
+  return "mismatch";
+}
+
+// ΔG37 of a Watson-Crick stack from its top-strand dinucleotide
+function stackDeltaG(dinucleotide) {
+  const params = NN_PARAMS[dinucleotide];
+  if (!params) return 0;
+  return params.dH - (310.15 * params.dS) / 1000;
+}
+
+/* -----------------------
+   Hairpin Loop Penalty
+   Interpolates between tabulated loop sizes and extrapolates
+   logarithmically beyond 30 nt
+------------------------ */
+function hairpinLoopDeltaG(loopLength) {
+  if (loopLength < 3) return Infinity; // Sterically impossible
+  if (HAIRPIN_LOOP_DG[loopLength] !== undefined) return HAIRPIN_LOOP_DG[loopLength];
+
+  if (loopLength > 30) {
+    return HAIRPIN_LOOP_DG[30] + 2.44 * GAS_CONSTANT * 310.15 / 1000 * Math.log(loopLength / 30);
+  }
+
+  const sizes = Object.keys(HAIRPIN_LOOP_DG).map(Number);
+  const lower = Math.max(...sizes.filter(s => s < loopLength));
+  const upper = Math.min(...sizes.filter(s => s > loopLength));
+  const fraction = (loopLength - lower) / (upper - lower);
+  return HAIRPIN_LOOP_DG[lower] + fraction * (HAIRPIN_LOOP_DG[upper] - HAIRPIN_LOOP_DG[lower]);
+}
+
+/* -----------------------
+   Stem-Loop Free Energy
+   The 5' arm is seq[armStart, armStart+stemLen); the 3' arm begins
+   loopLength bases after it. Arm base k pairs with 3' arm base
+   (stemLen-1-k). Both terminal pairs must be WC or wobble.
+   Returns { dG, mismatches, wobbles } or null if the stem can't close
+------------------------ */
+function stemLoopDeltaG(seq, armStart, stemLen, loopLength) {
+  const arm3Start = armStart + stemLen + loopLength;
+  if (armStart < 0 || arm3Start + stemLen > seq.length) return null;
+
+  const types = [];
+  for (let k = 0; k < stemLen; k++) {
+    types.push(pairType(seq[armStart + k], seq[arm3Start + stemLen - 1 - k]));
+  }
+
+  if (types[0] === "mismatch" || types[stemLen - 1] === "mismatch") return null;
+
+  let dG = hairpinLoopDeltaG(loopLength);
+
+  for (let k = 0; k < stemLen - 1; k++) {
+    if (types[k] === "mismatch" || types[k + 1] === "mismatch") {
+      dG += MISMATCH_STACK_DG;
+    } else if (types[k] === "wobble" || types[k + 1] === "wobble") {
+      dG += WOBBLE_STACK_DG;
+    } else {
+      dG += stackDeltaG(seq.slice(armStart + k, armStart + k + 2));
+    }
+  }
+
+  // Terminal A·T penalty on both closing pairs
+  [armStart, armStart + stemLen - 1].forEach(pos => {
+    if (seq[pos] === "A" || seq[pos] === "T") dG += TERMINAL_AT_DG;
+  });
+
+  return {
+    dG: dG,
+    mismatches: types.filter(t => t === "mismatch").length,
+    wobbles: types.filter(t => t === "wobble").length
+  };
+}
+
+/* -----------------------
+   ΔG Severity Classes
+   strong: stable at reaction temperature, fix recommended
+   moderate: may interfere, worth checking
+   weak: unlikely to form
+------------------------ */
+const DG_SEVERITY_THRESHOLDS = {
+  strong: -3.0,
+  moderate: -1.0
+};
+
+function classifyDeltaG(dG, thresholds = DG_SEVERITY_THRESHOLDS) {
+  if (dG === null || dG === undefined) return "weak";
+  if (dG <= thresholds.strong) return "strong";
+  if (dG <= thresholds.moderate) return "moderate";
+  return "weak";
+}
+
+/* -----------------------
+   Intermolecular Duplex Parameters (ΔG37, kcal/mol)
+   Loop penalties are approximations of SantaLucia & Hicks (2004)
+   bulge and internal loop initiation terms
+------------------------ */
+const BULGE_DG = { 1: 4.0, 2: 2.9 };
+const INTERNAL_LOOP_DG = { 2: 2 * MISMATCH_STACK_DG, 3: 1.6, 4: 1.7 };
+
+// Dimers need a stronger duplex than hairpins to be a problem
+const DIMER_DG_SEVERITY_THRESHOLDS = {
+  strong: -9.0,
+  moderate: -6.0
+};
+
+// Initiation ΔG for a duplex end, from its terminal base (NN_INIT)
+function duplexInitDeltaG(base) {
+  const init = (base === "G" || base === "C") ? NN_INIT.GC : NN_INIT.AT;
+  return init.dH - (310.15 * init.dS) / 1000;
+}
+
+/* -----------------------
+   Duplex Alignment (antiparallel, local)
+   Finds the most stable duplex between seq1 and seq2 with dynamic
+   programming. Pair (i, j) means seq1[i] pairs seq2[j]; consecutive
+   pairs run i up, j down. A duplex may contain G·T wobbles, 1x1 to
+   2x2 internal mismatch loops and 1-2 nt bulges in either strand.
+
+   Returns { best, best3Prime } where each is { dG, pairs } or null:
+   - best: lowest ΔG duplex anywhere
+   - best3Prime: lowest ΔG duplex whose last pair is seq1's 3'
+     terminal base with template left over on seq2 (extendable),
+     its last THREE_PRIME_ANCHOR pairs stacked without gaps
+------------------------ */
+function alignDuplex(seq1, seq2, minPairs = 3) {
+  seq1 = seq1.toUpperCase();
+  seq2 = seq2.toUpperCase();
+  const n = seq1.length;
+  const m = seq2.length;
+
+  // Loop steps back from pair (i, j) to the previous pair (i - di, j + dj)
+  const steps = [{ di: 1, dj: 1, dG: null }];
+  [[2, 2], [3, 3], [2, 3], [3, 2]].forEach(([di, dj]) => {
+    steps.push({ di, dj, dG: INTERNAL_LOOP_DG[di - 1 + dj - 1], mismatch: true });
+  });
+  [1, 2].forEach(size => {
+    steps.push({ di: size + 1, dj: 1, dG: BULGE_DG[size], bulge: true });
+    steps.push({ di: 1, dj: size + 1, dG: BULGE_DG[size], bulge: true });
+  });
+
+  const best = Array.from({ length: n }, () => new Array(m).fill(null));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = m - 1; j >= 0; j--) {
+      const type = pairType(seq1[i], seq2[j]);
+      if (type === "mismatch") continue;
+
+      // Start a new duplex at this pair
+      let cell = { dG: duplexInitDeltaG(seq1[i]), prev: null, count: 1 };
+
+      steps.forEach(step => {
+        const pi = i - step.di;
+        const pj = j + step.dj;
+        if (pi < 0 || pj >= m || !best[pi][pj]) return;
+
+        const prev = best[pi][pj];
+        let dG;
+        if (step.dG === null) {
+          const prevType = pairType(seq1[pi], seq2[pj]);
+          dG = (type === "wobble" || prevType === "wobble")
+            ? WOBBLE_STACK_DG
+            : stackDeltaG(seq1[pi] + seq1[i]);
+        } else {
+          dG = step.dG;
+        }
+
+        if (prev.dG + dG < cell.dG) {
+          cell = { dG: prev.dG + dG, prev: [pi, pj], count: prev.count + 1 };
+        }
+      });
+
+      best[i][j] = cell;
+    }
+  }
+
+  // Trace a duplex back from its last pair; closing end adds initiation
+  const trace = (i, j) => {
+    const pairs = [];
+    let cur = [i, j];
+    while (cur) {
+      pairs.unshift(cur);
+      cur = best[cur[0]][cur[1]].prev;
+    }
+    return { dG: best[i][j].dG + duplexInitDeltaG(seq1[i]), pairs: pairs };
+  };
+
+  let overall = null;
+  let threePrime = null;
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < m; j++) {
+      const cell = best[i][j];
+      if (!cell || cell.count < minPairs) continue;
+      const closedDG = cell.dG + duplexInitDeltaG(seq1[i]);
+
+      if (!overall || closedDG < overall.dG) overall = trace(i, j);
+      if (i === n - 1 && j > 0 && pairType(seq1[i], seq2[j]) === "wc" &&
+          (!threePrime || closedDG < threePrime.dG)) {
+        const duplex = trace(i, j);
+        if (hasThreePrimeAnchor(duplex.pairs)) threePrime = duplex;
+      }
+    }
+  }
+
+  return { best: overall, best3Prime: threePrime };
+}
+
+// A 3' end only primes if its last few pairs are stacked without gaps
+const THREE_PRIME_ANCHOR = 3;
+
+function hasThreePrimeAnchor(pairs) {
+  if (pairs.length < THREE_PRIME_ANCHOR) return false;
+  const tail = pairs.slice(-THREE_PRIME_ANCHOR);
+  return tail.every(([i, j], k) => k === 0 || (i === tail[k - 1][0] + 1 && j === tail[k - 1][1] - 1));
+}
+
+/* -----------------------
+   Score a Given Set of Duplex Pairs
+   Used to put a ΔG on exact-match hits; pairs must be contiguous
+   (i up, j down by one each step)
+------------------------ */
+function scoreDuplexPairs(seq1, seq2, pairs) {
+  seq1 = seq1.toUpperCase();
+  seq2 = seq2.toUpperCase();
+  if (pairs.length === 0) return null;
+
+  const [firstI] = pairs[0];
+  const [lastI] = pairs[pairs.length - 1];
+  let dG = duplexInitDeltaG(seq1[firstI]) + duplexInitDeltaG(seq1[lastI]);
+
+  for (let k = 1; k < pairs.length; k++) {
+    const [pi, pj] = pairs[k - 1];
+    const [i, j] = pairs[k];
+    const wobble = pairType(seq1[pi], seq2[pj]) === "wobble" || pairType(seq1[i], seq2[j]) === "wobble";
+    dG += wobble ? WOBBLE_STACK_DG : stackDeltaG(seq1[pi] + seq1[i]);
+  }
+
+  return dG;
+}
@@ -120,6 +120,165 @@ if (document.readyState === 'loading') {
   initExonJunctionControls();
 }
 
+/* -----------------------
+   Gene File Import (FASTA / GenBank)
+   
+   Files can be chosen with the upload button or dropped onto the gene
+   textarea. The file text is placed in the textarea unchanged and
+   parsed by runAnalysis, so pasted and uploaded input behave the same
+------------------------ */
+function initGeneFileImport() {
+  const fileInput = document.getElementById('gene-file');
+  const textarea = document.getElementById('gene-sequence');
+  
+  if (fileInput) {
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        loadGeneFile(fileInput.files[0]);
+      }
+      fileInput.value = ''; // Allow re-selecting the same file
+    });
+  }
+  
+  if (textarea) {
+    textarea.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      textarea.classList.add('drag-over');
+    });
+    textarea.addEventListener('dragleave', () => {
+      textarea.classList.remove('drag-over');
+    });
+    textarea.addEventListener('drop', (e) => {
+      e.preventDefault();
+      textarea.classList.remove('drag-over');
+      if (e.dataTransfer.files.length > 0) {
+        loadGeneFile(e.dataTransfer.files[0]);
+      }
+    });
+  }
+}
+
+function loadGeneFile(file) {
+  const reader = new FileReader();
+  
+  reader.onload = () => {
+    const text = reader.result;
+    const textarea = document.getElementById('gene-sequence');
+    textarea.value = text;
+    textarea.dispatchEvent(new Event('input')); // Update character count
+    
+    const parsed = parseSequenceInput(text);
+    renderRecordSelector(parsed.records);
+    
+    const formatNames = { fasta: 'FASTA', genbank: 'GenBank', raw: 'plain sequence' };
+    const status = document.getElementById('import-status');
+    if (status) {
+      status.textContent = `Loaded ${file.name} (${formatNames[parsed.format]}, ${parsed.records.length} record${parsed.records.length === 1 ? '' : 's'})`;
+    }
+  };
+  
+  reader.onerror = () => {
+    alert(`Could not read file ${file.name}`);
+  };
+  
+  reader.readAsText(file);
+}
+
+// Text from the user's files (headers, names) for use inside markup
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c =>
+    ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Show a record picker for multi-record files, hide it otherwise
+function renderRecordSelector(records) {
+  const select = document.getElementById('record-select');
+  if (!select) return;
+  
+  if (records.length <= 1) {
+    select.style.display = 'none';
+    select.innerHTML = '';
+    return;
+  }
+  
+  const previous = select.value;
+  select.innerHTML = records.map((r, idx) => 
+    `<option value="${idx}">${escapeHtml(r.name || `Record ${idx + 1}`)} (${r.seq.length.toLocaleString()} chars)</option>`
+  ).join('');
+  if (previous && previous < records.length) {
+    select.value = previous;
+  }
+  select.style.display = '';
+}
+
+function getSelectedRecordIndex(records) {
+  const select = document.getElementById('record-select');
+  const idx = select ? parseInt(select.value, 10) : 0;
+  return (isNaN(idx) || idx >= records.length) ? 0 : idx;
+}
+
+// Record name, description and coordinates above the sequence viewer
+function renderRecordInfo(record, geneLength) {
+  const info = document.getElementById('record-info');
+  if (!info) return;
+  
+  if (!record || record.format === 'raw') {
+    info.style.display = 'none';
+    info.innerHTML = '';
+    return;
+  }
+  
+  const formatNames = { fasta: 'FASTA', genbank: 'GenBank' };
+  const coords = record.coordinates;
+  let coordText = `1-${geneLength.toLocaleString()}`;
+  if (coords) {
+    coordText = `${escapeHtml(coords.contig)}:${coords.start.toLocaleString()}-${coords.end.toLocaleString()}`;
+    if (coords.strand === -1) coordText += ' (−)';
+  }
+  
+  info.innerHTML = `
+    <strong>${escapeHtml(record.name || 'Unnamed record')}</strong>
+    ${record.description ? `<span class="record-description">${escapeHtml(record.description)}</span>` : ''}
+    <span class="record-meta">${formatNames[record.format]} · ${coordText} · ${geneLength.toLocaleString()} bp${record.topology === 'circular' ? ' · circular' : ''}
+      ${record.junctions.length > 0 ? ` · ${record.junctions.length} exon junction${record.junctions.length === 1 ? '' : 's'} from features` : ''}</span>
+  `;
+  info.style.display = '';
+}
+
+// Which characters cleanSequence kept, converted or dropped
+function renderSequenceReport(report) {
+  const container = document.getElementById('sequence-report');
+  if (!container) return;
+  
+  const describe = counts => Object.entries(counts)
+    .map(([char, count]) => `${count.toLocaleString()} × ${char === 'whitespace' ? 'whitespace' : `'${escapeHtml(char)}'`}`)
+    .join(', ');
+  
+  const lines = [];
+  if (Object.keys(report.kept).length > 0) {
+    lines.push(`<span class="report-kept">Kept IUPAC codes (coordinates preserved): ${describe(report.kept)}</span>`);
+  }
+  if (Object.keys(report.converted).length > 0) {
+    lines.push(`<span class="report-converted">Converted: ${describe(report.converted)}</span>`);
+  }
+  
+  // Whitespace is expected in pasted/wrapped input; only list it with other drops
+  const droppedOther = Object.keys(report.dropped).filter(char => char !== 'whitespace');
+  if (droppedOther.length > 0) {
+    lines.push(`<span class="report-dropped">Dropped (not nucleotides): ${describe(report.dropped)}</span>`);
+  }
+  
+  container.innerHTML = lines.join('<br>');
+  container.style.display = lines.length > 0 ? '' : 'none';
+}
+
+// Initialize on page load
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initGeneFileImport);
+} else {
+  initGeneFileImport();
+}
+
 /* -----------------------
    Primer Table Rendering with Interactive Edit Controls
    
@@ -127,8 +286,9 @@ if (document.readyState === 'loading') {
    - Name (color-coded)
    - Sequence (with split display for FIP/BIP)
    - Length in base pairs
+   - Melting temperature (Tm, per part for FIP/BIP)
    - Orientation (forward/reverse)
-   - Hairpin detection status (3', 5', or both)
+   - Hairpin detection status (3', 5', or both), ranked and coloured by ΔG
    - Position adjustment controls (input fields)
 ------------------------ */
 function populatePrimerTable(gene, primers) {
@@ -136,9 +296,12 @@ function populatePrimerTable(gene, primers) {
   body.innerHTML = "";
 
   primers.forEach((p, index) => {
-    let nameDisplay = p.name;
-    let seqDisplay = p.seq;
+    // Names and sequences are the user's text (or a project/share link)
+    const name = escapeHtml(p.name);
+    let nameDisplay = name;
+    let seqDisplay = escapeHtml(p.seq);
     let lengthDisplay = "-";
+    let tmDisplay = "-";
     let orientDisplay = p.orientation || "-";
     let hairpinDisplay = "No"; // Default
     let controlsDisplay = "";
@@ -148,8 +311,8 @@ function populatePrimerTable(gene, primers) {
       const leftColor = getPrimerColor(p.leftType);
       const rightColor = getPrimerColor(p.rightType);
       
-      nameDisplay = `<span style="background:${leftColor}; padding:1px 3px; border-radius:2px; font-weight:bold;">${p.name}</span>`;
-      seqDisplay = `<span style="background:${leftColor}; padding:2px 4px; border-radius:3px;">${p.leftType}=${p.left}</span> ⊕ <span style="background:${rightColor}; padding:2px 4px; border-radius:3px;">${p.rightType}=${p.right}</span>`;
+      nameDisplay = `<span style="background:${leftColor}; padding:1px 3px; border-radius:2px; font-weight:bold;">${name}</span>`;
+      seqDisplay = `<span style="background:${leftColor}; padding:2px 4px; border-radius:3px;">${p.leftType}=${escapeHtml(p.left)}</span> ⊕ <span style="background:${rightColor}; padding:2px 4px; border-radius:3px;">${p.rightType}=${escapeHtml(p.right)}</span>`;
       
       if (p.leftStart !== undefined && p.leftStart !== -1 && 
           p.rightStart !== undefined && p.rightStart !== -1) {
@@ -157,6 +320,7 @@ function populatePrimerTable(gene, primers) {
         const rightLength = p.rightEnd - p.rightStart;
         lengthDisplay = `${p.leftType}:${leftLength}bp, ${p.rightType}:${rightLength}bp`;
         orientDisplay = `${p.leftType}:RC, ${p.rightType}:Fwd`;
+        tmDisplay = `${p.leftType}: ${formatTm(p.leftTm)}<br>${p.rightType}: ${formatTm(p.rightTm)}`;
         
         // Add controls for FIP/BIP parts
         controlsDisplay = `
@@ -167,7 +331,7 @@ function populatePrimerTable(gene, primers) {
                      value="${p.leftStart + 1}" min="1" max="${gene.length}" style="width: 50px;">
               -
               <input type="number" class="pos-input" data-primer-idx="${index}" data-part="left" data-pos="end" 
-                     value="${p.leftEnd}" min="1" max="${gene.length}" style="width: 50px;">
+                     value="${wrapPosition(p.leftEnd, gene.length)}" min="1" max="${gene.length}" style="width: 50px;">
             </div>
             <div>
               <strong>${p.rightType}:</strong>
@@ -175,7 +339,7 @@ function populatePrimerTable(gene, primers) {
                      value="${p.rightStart + 1}" min="1" max="${gene.length}" style="width: 50px;">
               -
               <input type="number" class="pos-input" data-primer-idx="${index}" data-part="right" data-pos="end" 
-                     value="${p.rightEnd}" min="1" max="${gene.length}" style="width: 50px;">
+                     value="${wrapPosition(p.rightEnd, gene.length)}" min="1" max="${gene.length}" style="width: 50px;">
             </div>
           </div>
         `;
@@ -184,12 +348,13 @@ function populatePrimerTable(gene, primers) {
       }
     } else {
       const color = getPrimerColor(p.name);
-      nameDisplay = `<span style="background:${color}; padding:1px 3px; border-radius:2px; font-weight:bold;">${p.name}</span>`;
-      seqDisplay = `<span style="background:${color}; padding:2px 4px; border-radius:3px;">${p.seq}</span>`;
+      nameDisplay = `<span style="background:${color}; padding:1px 3px; border-radius:2px; font-weight:bold;">${name}</span>`;
+      seqDisplay = `<span style="background:${color}; padding:2px 4px; border-radius:3px;">${escapeHtml(p.seq)}</span>`;
       
       if (p.start !== -1) {
         const length = p.end - p.start;
         lengthDisplay = `${length}bp`;
+        tmDisplay = formatTm(p.tm);
         
         // Add interactive controls for regular primers
         controlsDisplay = `
@@ -198,7 +363,7 @@ function populatePrimerTable(gene, primers) {
                    value="${p.start + 1}" min="1" max="${gene.length}" style="width: 60px;">
             <span>to</span>
             <input type="number" class="pos-input" data-primer-idx="${index}" data-pos="end" 
-                   value="${p.end}" min="1" max="${gene.length}" style="width: 60px;">
+                   value="${wrapPosition(p.end, gene.length)}" min="1" max="${gene.length}" style="width: 60px;">
           </div>
         `;
       } else {
@@ -206,33 +371,257 @@ function populatePrimerTable(gene, primers) {
       }
     }
 
-    // Hairpin display with color-coded warnings
-    if (p.hairpin3 && p.hairpin5) {
-      hairpinDisplay = `<span style="color:#FF1493; font-weight:bold; border:2px solid #FF1493; padding:2px 4px; border-radius:3px;">3′</span> + <span style="color:#1E90FF; font-weight:bold; border:2px solid #1E90FF; padding:2px 4px; border-radius:3px;">5′</span>`;
-    } else if (p.hairpin3) {
-      hairpinDisplay = `<span style="color:#FF1493; font-weight:bold; border:2px solid #FF1493; padding:2px 4px; border-radius:3px;">3′ hairpin</span>`;
-    } else if (p.hairpin5) {
-      hairpinDisplay = `<span style="color:#1E90FF; font-weight:bold; border:2px solid #1E90FF; padding:2px 4px; border-radius:3px;">5′ hairpin</span>`;
+    // Hairpin display: one badge per hairpin, most stable (lowest ΔG) first.
+    // Border colour shows the end (3′ pink, 5′ blue), fill shows ΔG severity
+    const rankedHairpins = rankHairpins(p);
+    if (rankedHairpins.length > 0) {
+      hairpinDisplay = rankedHairpins.map(hp => {
+        const endColor = hp.type === "3prime" ? "#FF1493" : "#1E90FF";
+        const endLabel = hp.type === "3prime" ? "3′" : "5′";
+        const severity = severityColors[classifyDeltaG(hp.dG)];
+        return `<span style="display:inline-block; margin:2px 0; color:${severity.text}; background:${severity.bg}; font-weight:bold; border:2px solid ${endColor}; padding:2px 4px; border-radius:3px;" title="${severity.label}">${endLabel} ΔG ${formatDeltaG(hp.dG)}</span>`;
+      }).join('<br>');
     } else {
       hairpinDisplay = `<span style="color:green; font-weight:bold;">No</span>`;
     }
 
+    // Flagged and placed on the template: offer boundary tweaks without the hairpin
+    const placed = p.isInner ? (p.leftStart !== undefined && p.leftStart !== -1) : p.start !== -1;
+    if (p.hasHairpin && placed) {
+      hairpinDisplay += `
+        <div class="alt-note">
+          <button class="small-btn alt-btn" data-primer-idx="${index}">Suggest fixes</button>
+          <div class="alt-list"></div>
+        </div>
+      `;
+    }
+    
+    // Full-length scan: every fold in the primer, positions within the primer
+    if (p.hairpinScan && p.hairpinScan.length > 0) {
+      const scanItems = p.hairpinScan.map(hit => {
+        const severity = severityColors[classifyDeltaG(hit.dG)];
+        return `<li style="color:${severity.text === '#fff' ? severity.bg : severity.text};">${describeScanHit(p, hit)}, stem ${hit.stemLength}bp, loop ${hit.loopLength}, ΔG ${formatDeltaG(hit.dG)}</li>`;
+      }).join('');
+      hairpinDisplay += `
+        <details class="hairpin-scan" style="text-align: left; margin-top: 4px;">
+          <summary>${p.hairpinScan.length} fold(s) in full scan</summary>
+          <ul style="margin: 4px 0; padding-left: 16px;">${scanItems}</ul>
+        </details>
+      `;
+    }
+
+    // Ambiguity codes matched only partially against the template
+    if (p.ambiguousPositions && p.ambiguousPositions.length > 0) {
+      const offsets = p.ambiguousPositions.map(k => k + 1).join(", ");
+      seqDisplay += `<div class="ambiguous-note">⚠ ${p.ambiguousPositions.length} partial IUPAC match${p.ambiguousPositions.length === 1 ? '' : 'es'} (primer pos. ${offsets})</div>`;
+    }
+
+    // Primers that bind more than once: pick which site is intended
+    if (p.bindingSites && p.bindingSites.length > 1) {
+      const options = p.bindingSites.map((site, idx) =>
+        `<option value="${site.key}" ${idx === p.siteIndex ? 'selected' : ''}>${describeBindingSite(p, site, idx, gene.length)}</option>`
+      ).join('');
+      // FIP/BIP part pairs over the cap: only the best-placed are listed
+      const count = p.bindingSitesTotal > p.bindingSites.length
+        ? `${p.bindingSitesTotal} binding sites, ${p.bindingSites.length} closest listed`
+        : `${p.bindingSites.length} binding sites`;
+      seqDisplay += `
+        <div class="site-note">⚠ ${count} (${p.siteSelectedByUser ? 'chosen by you' : 'chosen by LAMP geometry'}):
+          <select class="site-select" data-primer-idx="${index}">${options}</select>
+        </div>
+      `;
+    }
+
+    // Template mismatches accepted by the mismatch-tolerant search
+    // (positions 1-based in the primer, FIP/BIP in the full oligo)
+    let mismatchDisplay = "-";
+    if (placed && p.mismatchPositions && p.mismatchPositions.length > 0) {
+      const offsets = p.mismatchPositions.map(k => k + 1).join(", ");
+      mismatchDisplay = `<span class="mismatch-note">✗ ${p.mismatchPositions.length}</span><br>pos. ${offsets}<br>score ${p.mismatchScore}`;
+    } else if (placed) {
+      mismatchDisplay = "0";
+    }
+
+    // Composition: one badge per check, per part for FIP/BIP
+    const compositionDisplay = (p.composition || []).map(part => {
+      const badges = part.checks.map(c =>
+        `<span class="comp-badge comp-${c.status}" title="${c.message || 'pass'}">${c.label}</span>`
+      ).join(' ');
+      return p.isInner ? `<div><strong>${part.type}:</strong> ${badges}</div>` : `<div>${badges}</div>`;
+    }).join('') || "-";
+
     const row = document.createElement("tr");
 
     row.innerHTML = `
       <td>${nameDisplay}</td>
       <td style="font-family: monospace; font-size: 12px;">${seqDisplay}</td>
       <td style="font-size: 11px;">${lengthDisplay}</td>
+      <td style="font-size: 11px;">${tmDisplay}</td>
       <td style="font-size: 11px;">${orientDisplay}</td>
+      <td style="font-size: 11px; text-align: center;">${mismatchDisplay}</td>
       <td style="font-size: 11px; text-align: center;">${hairpinDisplay}</td>
+      <td style="font-size: 10px;">${compositionDisplay}</td>
       <td style="font-size: 11px;">${controlsDisplay}</td>
     `;
 
     body.appendChild(row);
   });
 
-  // Attach event listeners to position inputs
+  // Attach event listeners to position inputs and site pickers
   attachPositionInputListeners();
+  attachSiteSelectListeners();
+  attachAlternativeListeners();
+}
+
+// "#2 F1c 120-141, F2 60-78 (1 mm)" style label for a binding site
+function describeBindingSite(p, site, idx, geneLength) {
+  const where = p.isInner
+    ? `${p.leftType} ${site.leftStart + 1}-${wrapPosition(site.leftEnd, geneLength)}, ${p.rightType} ${site.rightStart + 1}-${wrapPosition(site.rightEnd, geneLength)}`
+    : `${site.start + 1}-${wrapPosition(site.end, geneLength)} ${site.orientation === "forward" ? "Fwd" : "RC"}`;
+  const mismatchText = site.mismatchScore > 0 ? ` (${site.mismatches.length} mm)` : "";
+  return `#${idx + 1} ${where}${mismatchText}`;
+}
+
+// Choosing a site pins it for this primer name (for later runs) and
+// moves the primer there as an edit, keeping the other boundary edits
+function attachSiteSelectListeners() {
+  const selects = document.querySelectorAll(".site-select");
+  
+  selects.forEach(select => {
+    select.addEventListener("change", (e) => {
+      chooseBindingSite(parseInt(e.target.dataset.primerIdx), e.target.value);
+    });
+  });
+}
+
+function chooseBindingSite(primerIdx, key) {
+  if (editsBlocked()) return;
+  const primer = window.currentPrimers[primerIdx];
+  const site = primer ? primer.bindingSites.find(s => s.key === key) : null;
+  if (!site) return;
+  
+  const before = captureEditState(primer);
+  window.siteSelections[primer.name] = key;
+  applyBindingSite(primer, site);
+  recordEdit(primerIdx, null, before, refreshEditedPrimer(primerIdx));
+}
+
+// "Suggest fixes" lists hairpin-free boundary alternatives; "Apply"
+// moves the primer (or FIP/BIP part) there and re-analyzes
+function attachAlternativeListeners() {
+  const buttons = document.querySelectorAll(".alt-btn");
+  
+  buttons.forEach(btn => {
+    btn.addEventListener("click", (e) => {
+      const primerIdx = parseInt(e.target.dataset.primerIdx);
+      const list = e.target.parentElement.querySelector(".alt-list");
+      const alternatives = suggestHairpinAlternatives(
+        window.currentGene, window.currentPrimers, primerIdx, window.analysisSettings);
+      
+      if (alternatives.length === 0) {
+        list.innerHTML = `<div class="alt-empty">No hairpin-free alternative within ±${ALTERNATIVE_DEFAULTS.maxShift}bp</div>`;
+        return;
+      }
+      
+      list.innerHTML = alternatives.map((alt, k) => `
+        <div class="alt-item">
+          <button class="small-btn alt-apply-btn" data-alt="${k}">Apply</button>
+          ${alt.label}, Tm ${formatTm(alt.tm)}, worst dimer ΔG ${formatDeltaG(alt.worstDimerDG)}
+        </div>
+      `).join('');
+      
+      list.querySelectorAll(".alt-apply-btn").forEach(applyBtn => {
+        applyBtn.addEventListener("click", () => {
+          applyAlternative(primerIdx, alternatives[parseInt(applyBtn.dataset.alt)]);
+        });
+      });
+    });
+  });
+}
+
+function applyAlternative(primerIdx, alt) {
+  if (editsBlocked()) return;
+  const primer = window.currentPrimers[primerIdx];
+  const before = captureEditState(primer);
+  
+  if (alt.part) {
+    primer[`${alt.part}Start`] = alt.start;
+    primer[`${alt.part}End`] = alt.end;
+    primer[alt.part] = alt.partSeq;
+  } else {
+    primer.start = alt.start;
+    primer.end = alt.end;
+  }
+  primer.seq = alt.seq;
+  
+  markTemplateSequence(primer);
+  recordEdit(primerIdx, alt.part, before, refreshEditedPrimer(primerIdx));
+}
+
+// Format a melting temperature for table display
+function formatTm(tm) {
+  return (tm === null || tm === undefined) ? "-" : `${tm.toFixed(1)}°C`;
+}
+
+// Format a free energy (kcal/mol) for table display
+function formatDeltaG(dG) {
+  return (dG === null || dG === undefined) ? "-" : dG.toFixed(1);
+}
+
+/* -----------------------
+   Analysis Progress
+   Shown under the Analyze button while a job runs in the analysis
+   worker (jobs.js), with the stage reported by attachPrimerPositions,
+   checkAllDimers and analyzeLampSets. Quick jobs finish before
+   ANALYSIS_PROGRESS_DELAY and never show it
+------------------------ */
+const ANALYSIS_PROGRESS_DELAY = 250; // ms
+
+const ANALYSIS_STAGE_LABELS = {
+  sites: "Locating primers",
+  hairpins: "Checking hairpins",
+  dimers: "Checking dimers",
+  sets: "Analyzing candidate sets"
+};
+
+let analysisProgressTimer = null;
+
+// progress: { stage, done, total }, or none before the first report
+function showAnalysisProgress(progress) {
+  const box = document.getElementById("analysis-progress");
+  if (!box) return;
+  const bar = box.querySelector("progress");
+  const label = box.querySelector(".progress-label");
+  
+  if (progress) {
+    bar.max = Math.max(progress.total, 1);
+    bar.value = progress.done;
+    label.textContent = `${ANALYSIS_STAGE_LABELS[progress.stage] || progress.stage} (${progress.done}/${progress.total})`;
+  } else {
+    bar.removeAttribute("value");
+    label.textContent = "Analyzing…";
+  }
+  
+  if (box.style.display === "none" && analysisProgressTimer === null) {
+    analysisProgressTimer = setTimeout(() => {
+      analysisProgressTimer = null;
+      box.style.display = "";
+    }, ANALYSIS_PROGRESS_DELAY);
+  }
+}
+
+function hideAnalysisProgress() {
+  clearTimeout(analysisProgressTimer);
+  analysisProgressTimer = null;
+  const box = document.getElementById("analysis-progress");
+  if (box) box.style.display = "none";
+}
+
+function showAnalysisError(error) {
+  hideAnalysisProgress();
+  console.error(error);
+  alert(`Analysis failed: ${error.message}`);
+  return null;
 }
 
 /* -----------------------
@@ -241,7 +630,7 @@ function populatePrimerTable(gene, primers) {
    Allows users to modify primer positions in real-time:
    1. Attach event listeners to all position input fields
    2. When changed, extract new sequence from gene
-   3. Recalculate hairpin detection
+   3. Recalculate hairpin detection and Tm
    4. Check for primer overlaps
    5. Re-render visualization and table
 ------------------------ */
@@ -269,8 +658,15 @@ function handlePositionChange(input) {
     console.error("No gene/primer data available");
     return;
   }
+  if (editsBlocked()) return;
   
   const primer = primers[primerIdx];
+  const before = captureEditState(primer);
+  
+  // Circular templates: an end at or before the start wraps past the origin
+  const wrapRange = (start, end) => window.analysisSettings.circular
+    ? normalizeCircularRange(start, end, gene.length)
+    : { start, end };
   
   // Update position
   if (primer.isInner) {
@@ -281,8 +677,11 @@ function handlePositionChange(input) {
       } else {
         primer.leftEnd = newValue;
       }
+      const range = wrapRange(primer.leftStart, primer.leftEnd);
+      primer.leftStart = range.start;
+      primer.leftEnd = range.end;
       // Extract new sequence for left part
-      primer.left = gene.substring(primer.leftStart, primer.leftEnd);
+      primer.left = templateSlice(gene, primer.leftStart, primer.leftEnd);
       // Reverse complement since left part binds as RC
       primer.left = revcomp(primer.left);
     } else if (part === 'right') {
@@ -291,12 +690,15 @@ function handlePositionChange(input) {
       } else {
         primer.rightEnd = newValue;
       }
+      const range = wrapRange(primer.rightStart, primer.rightEnd);
+      primer.rightStart = range.start;
+      primer.rightEnd = range.end;
       // Extract new sequence for right part (binds forward)
-      primer.right = gene.substring(primer.rightStart, primer.rightEnd);
+      primer.right = templateSlice(gene, primer.rightStart, primer.rightEnd);
     }
     
     // Recombine full FIP/BIP sequence
-    primer.seq = primer.left + primer.right;
+    primer.seq = joinInnerParts(primer, primer.left, primer.right);
     
   } else {
     // Regular primer
@@ -305,25 +707,52 @@ function handlePositionChange(input) {
     } else {
       primer.end = newValue;
     }
+    const range = wrapRange(primer.start, primer.end);
+    primer.start = range.start;
+    primer.end = range.end;
     
     // Extract new sequence based on orientation
     if (primer.orientation === "forward") {
-      primer.seq = gene.substring(primer.start, primer.end);
+      primer.seq = templateSlice(gene, primer.start, primer.end);
     } else if (primer.orientation === "reverse (RC)") {
-      const extracted = gene.substring(primer.start, primer.end);
+      const extracted = templateSlice(gene, primer.start, primer.end);
       primer.seq = revcomp(extracted);
     }
   }
   
+  markTemplateSequence(primer);
+  recordEdit(primerIdx, part, before, refreshEditedPrimer(primerIdx));
+}
+
+// A sequence cut from the template: ambiguity codes come straight from
+// the template and it matches its site perfectly
+function markTemplateSequence(primer) {
+  primer.ambiguousPositions = ambiguousOffsets(primer.seq);
+  primer.mismatchPositions = [];
+  primer.mismatchScore = 0;
+}
+
+// Re-analyze a primer whose boundaries/sequence were just edited and
+// re-render everything (shared by position inputs, "apply" buttons
+// and undo/redo). The primer's own checks run here; the dimers of the
+// whole set run in the analysis worker (jobs.js). Returns a promise of
+// the new dimers, null when a newer edit replaced this one
+function refreshEditedPrimer(primerIdx) {
+  const gene = window.currentGene;
+  const primers = window.currentPrimers;
+  const primer = primers[primerIdx];
+  
+  // Binding sites of the (possibly new) sequence, intended = where it sits now
+  relocateBindingSites(gene, primer, window.analysisSettings);
+  
   // Re-run hairpin detection on the updated primer
-  const hp3 = checkHairpin3Prime(primer.seq);
-  const hp5 = checkHairpin5Prime(primer.seq);
+  analyzeHairpins(primer, window.analysisSettings.hairpinMode);
   
-  primer.hairpin3 = hp3;
-  primer.hairpin5 = hp5;
-  primer.hasHairpin = !!(hp3 || hp5);
+  // Recalculate melting temperature for the new boundaries
+  updatePrimerTm(primer);
+  updatePrimerComposition(primer);
   
-  console.log(`Updated ${primer.name}:`, primer);
+  debugLog(`Updated ${primer.name}:`, primer);
   
   // Check for overlaps with other primers
   checkPrimerOverlaps(primers, primerIdx);
@@ -331,76 +760,172 @@ function handlePositionChange(input) {
   // Validate primer length against recommended ranges
   validatePrimerLength(primer);
   
-  // Recalculate cross-dimers
-  const dimers = checkAllDimers(primers);
+  // Re-check the set's LAMP geometry with the new boundaries
+  updateGeometryReport(primers);
   
-  // Re-render everything
+  // Re-render everything that does not depend on dimers
   displaySequence(gene, primers, window.exonJunctions);
   populatePrimerTable(gene, primers);
-  populateDimerTable(dimers);
+  refreshInclusivity();
+  refreshExclusivity();
+  autosaveProject();
+  
+  // Recalculate self- and cross-dimers
+  const job = {
+    type: "dimers",
+    primers: primers.map(p => ({ name: p.name, seq: p.seq })),
+    mode: window.analysisSettings.dimerMode
+  };
+  return runAnalysisJob(job, showAnalysisProgress).then(dimers => {
+    if (!dimers) return null;
+    hideAnalysisProgress();
+    window.currentDimers = dimers;
+    populateDimerTable(dimers);
+    refreshActiveSetSummary();
+    return dimers;
+  }, showAnalysisError);
+}
+
+// Boundary edits wait while a full analysis runs: its result replaces
+// the primers being edited
+function editsBlocked() {
+  return runningJobType() === "analyze";
+}
+
+/* -----------------------
+   Edit History (Undo/Redo)
+   Every boundary edit (position inputs, "apply" on an alternative,
+   a binding site picked for a primer that binds more than once) is
+   recorded with the primer state and hairpin/dimer status before
+   and after it (stacks in history.js). Undo/redo restore a snapshot
+   and re-analyze; clicking a panel row jumps to the state after it.
+   The dimer status comes with the worker's dimers (refreshed); a
+   state replaced before they arrived keeps "not checked"
+------------------------ */
+function captureEditState(primer) {
+  const dimers = runningJobType() === "dimers" ? null : window.currentDimers;
+  return { snapshot: snapshotPrimer(primer), status: editStatus(primer, dimers) };
+}
+
+function recordEdit(primerIdx, part, before, refreshed) {
+  const primer = window.currentPrimers[primerIdx];
+  const entry = {
+    primerIdx: primerIdx,
+    name: primer.name,
+    part: part || null,
+    partType: part ? primer[`${part}Type`] : null,
+    before: before.snapshot,
+    after: snapshotPrimer(primer),
+    beforeStatus: before.status,
+    afterStatus: editStatus(primer, null)
+  };
+  pushHistory(window.editHistory, entry);
+  renderHistoryPanel();
+  
+  refreshed.then(dimers => {
+    if (!dimers) return;
+    entry.afterStatus = editStatus(primer, dimers);
+    renderHistoryPanel();
+  });
+}
+
+function undoEdit() {
+  if (editsBlocked()) return;
+  const entry = stepHistory(window.editHistory, "undo");
+  if (!entry) return;
+  restorePrimer(window.currentPrimers[entry.primerIdx], entry.before);
+  refreshEditedPrimer(entry.primerIdx);
+  renderHistoryPanel();
+}
+
+function redoEdit() {
+  if (editsBlocked()) return;
+  const entry = stepHistory(window.editHistory, "redo");
+  if (!entry) return;
+  restorePrimer(window.currentPrimers[entry.primerIdx], entry.after);
+  refreshEditedPrimer(entry.primerIdx);
+  renderHistoryPanel();
+}
+
+// Go to the state right after edit number `count` (0 = before any edit)
+function jumpToHistory(count) {
+  if (editsBlocked()) return;
+  const history = window.editHistory;
+  // A step that leaves the stack unchanged ends the walk
+  while (history.undo.length > count) {
+    const length = history.undo.length;
+    undoEdit();
+    if (history.undo.length === length) break;
+  }
+  while (history.undo.length < count && history.redo.length > 0) {
+    const length = history.redo.length;
+    redoEdit();
+    if (history.redo.length === length) break;
+  }
+}
+
+function formatEditStatus(status) {
+  const hairpin = status.hairpins.length
+    ? status.hairpins.map(hp => `${hp.end} ${formatDeltaG(hp.dG)}`).join(", ")
+    : "none";
+  const dimer = status.worstDimerDG === undefined ? "not checked"
+    : status.worstDimerDG === null ? "none"
+    : formatDeltaG(status.worstDimerDG);
+  return `hairpin ${hairpin}, dimer ${dimer}`;
+}
+
+function renderHistoryPanel() {
+  const panel = document.getElementById("history-list");
+  if (!panel) return;
+  const history = window.editHistory;
+  const geneLength = window.currentGene ? window.currentGene.length : 0;
+  // While a full analysis runs, its result will replace these edits
+  const blocked = editsBlocked();
+  
+  document.getElementById("undo-btn").disabled = blocked || history.undo.length === 0;
+  document.getElementById("redo-btn").disabled = blocked || history.redo.length === 0;
+  
+  if (history.undo.length === 0 && history.redo.length === 0) {
+    panel.innerHTML = '<div class="history-empty">No edits yet</div>';
+    return;
+  }
+  
+  const describe = (entry, number, undone) => {
+    const from = snapshotRange(entry.before, entry.part);
+    const to = snapshotRange(entry.after, entry.part);
+    const label = escapeHtml(entry.partType ? `${entry.name} ${entry.partType}` : entry.name);
+    return `
+      <div class="history-item${undone ? ' history-undone' : ''}" data-count="${number}" title="Click to go to the state after this edit">
+        <strong>#${number} ${label}</strong>
+        ${from.start + 1}-${wrapPosition(from.end, geneLength)} → ${to.start + 1}-${wrapPosition(to.end, geneLength)}
+        <div class="history-status">${formatEditStatus(entry.beforeStatus)} → ${formatEditStatus(entry.afterStatus)}</div>
+      </div>
+    `;
+  };
+  
+  // Newest first; undone edits (redo stack) shown greyed above them
+  const done = history.undo.map((entry, k) => describe(entry, k + 1, false));
+  const undone = history.redo.slice().reverse().map((entry, k) => describe(entry, history.undo.length + k + 1, true));
+  panel.innerHTML = done.concat(undone).reverse().join('') +
+    `<div class="history-item" data-count="0"><strong>#0</strong> Initial analysis</div>`;
+  panel.classList.toggle("history-blocked", blocked);
+  if (blocked) return;
+  
+  panel.querySelectorAll(".history-item").forEach(item => {
+    item.addEventListener("click", () => jumpToHistory(parseInt(item.dataset.count, 10)));
+  });
 }
 
 /* -----------------------
    Overlap Detection and Warning System
    
-   Detects when primers overlap on the gene sequence:
-   - Checks all primer pairs for position overlaps
-   - Handles both regular primers and FIP/BIP components
+   Shows overlaps found by findPrimerOverlaps (validation.js):
    - Displays persistent warning popup until overlap is resolved
    - Auto-clears when positions are adjusted to remove overlap
 ------------------------ */
 function checkPrimerOverlaps(primers, changedIdx) {
-  const changedPrimer = primers[changedIdx];
-  let overlaps = [];
-  
-  // Compare changed primer against all other primers
-  primers.forEach((p, idx) => {
-    if (idx === changedIdx) return; // Skip comparing primer to itself
-    
-    // Extract position ranges for the changed primer
-    // (FIP/BIP primers have two ranges: left and right components)
-    let changedRanges = [];
-    if (changedPrimer.isInner) {
-      // FIP/BIP: Add both components if they're bound to gene
-      if (changedPrimer.leftStart !== -1) {
-        changedRanges.push({ start: changedPrimer.leftStart, end: changedPrimer.leftEnd, part: changedPrimer.leftType });
-      }
-      if (changedPrimer.rightStart !== -1) {
-        changedRanges.push({ start: changedPrimer.rightStart, end: changedPrimer.rightEnd, part: changedPrimer.rightType });
-      }
-    } else if (changedPrimer.start !== -1) {
-      // Regular primer: Single range
-      changedRanges.push({ start: changedPrimer.start, end: changedPrimer.end, part: null });
-    }
-    
-    // Extract position ranges for the comparison primer
-    let compRanges = [];
-    if (p.isInner) {
-      // FIP/BIP: Add both components if they're bound to gene
-      if (p.leftStart !== -1) {
-        compRanges.push({ start: p.leftStart, end: p.leftEnd, part: p.leftType });
-      }
-      if (p.rightStart !== -1) {
-        compRanges.push({ start: p.rightStart, end: p.rightEnd, part: p.rightType });
-      }
-    } else if (p.start !== -1) {
-      // Regular primer: Single range
-      compRanges.push({ start: p.start, end: p.end, part: null });
-    }
-    
-    // Check all range combinations for overlap
-    // (e.g., F3 vs F1c, F3 vs F2, B3 vs B1c, etc.)
-    changedRanges.forEach(r1 => {
-      compRanges.forEach(r2 => {
-        if (rangesOverlap(r1.start, r1.end, r2.start, r2.end)) {
-          // Build descriptive overlap message
-          const changedName = r1.part ? `${changedPrimer.name} (${r1.part})` : changedPrimer.name;
-          const compName = r2.part ? `${p.name} (${r2.part})` : p.name;
-          overlaps.push(`${changedName} overlaps with ${compName}`);
-        }
-      });
-    });
-  });
+  const circularLength = window.analysisSettings.circular ? window.currentGene.length : 0;
+  const overlaps = findPrimerOverlaps(primers, changedIdx, circularLength);
   
   // Display or clear warning based on overlap status
   if (overlaps.length > 0) {
@@ -410,10 +935,9 @@ function checkPrimerOverlaps(primers, changedIdx) {
   }
 }
 
-// Helper function: Check if two ranges overlap
-// Returns true if ranges [start1, end1) and [start2, end2) overlap
-function rangesOverlap(start1, end1, start2, end2) {
-  return start1 < end2 && start2 < end1;
+// 1-based end coordinate for display; wrapped ends (> length) restart at 1
+function wrapPosition(pos, length) {
+  return pos > length ? pos - length : pos;
 }
 
 // Display overlap warning popup with list of conflicts
@@ -447,7 +971,7 @@ function showOverlapWarning(messages) {
       <button onclick="this.parentElement.parentElement.remove()" style="background: none; border: none; color: white; font-size: 20px; cursor: pointer; padding: 0; margin-left: 10px;">&times;</button>
     </div>
     <div style="font-size: 13px; line-height: 1.5;">
-      ${messages.map(m => `• ${m}`).join('<br>')}
+      ${messages.map(m => `• ${escapeHtml(m)}`).join('<br>')}
     </div>
   `;
   
@@ -466,83 +990,13 @@ function clearOverlapWarning() {
 /* -----------------------
    Primer Length Validation System
    
-   Validates primer lengths against LAMP recommended ranges:
-   - F3/B3: 18-22 bp
-   - F2/B2: 18-22 bp
-   - F1c/B1c: 18-25 bp
-   - LoopF/LoopB: 15-22 bp
-   - FIP/BIP total: 38-45 bp
-   
-   Displays warning popup for out-of-range lengths
+   Displays warning popup for out-of-range lengths (ranges and checks
+   in validation.js) and composition warnings
 ------------------------ */
 
-// Recommended length ranges for each primer type
-const PRIMER_LENGTH_RANGES = {
-  'F3': { min: 18, max: 22 },
-  'B3': { min: 18, max: 22 },
-  'F2': { min: 18, max: 22 },
-  'B2': { min: 18, max: 22 },
-  'F1c': { min: 18, max: 25 },
-  'B1c': { min: 18, max: 25 },
-  'LoopF': { min: 15, max: 22 },
-  'LF': { min: 15, max: 22 },
-  'LoopB': { min: 15, max: 22 },
-  'LB': { min: 15, max: 22 },
-  'FIP': { min: 38, max: 45 },  // Total length (F1c + F2)
-  'BIP': { min: 38, max: 45 }   // Total length (B1c + B2)
-};
-
-// Get primer length warnings without displaying (for batch validation)
-function getPrimerLengthWarnings(primer) {
-  let warnings = [];
-  
-  if (primer.isInner) {
-    // FIP/BIP: Check total length and individual components
-    const totalLength = primer.seq.length;
-    const range = PRIMER_LENGTH_RANGES[primer.name];
-    
-    if (range) {
-      if (totalLength < range.min || totalLength > range.max) {
-        warnings.push(`${primer.name} total length ${totalLength}bp is outside recommended ${range.min}-${range.max}bp`);
-      }
-    }
-    
-    // Check individual components (F1c/B1c and F2/B2)
-    if (primer.leftStart !== -1) {
-      const leftLength = primer.leftEnd - primer.leftStart;
-      const leftRange = PRIMER_LENGTH_RANGES[primer.leftType];
-      if (leftRange && (leftLength < leftRange.min || leftLength > leftRange.max)) {
-        warnings.push(`${primer.leftType} length ${leftLength}bp is outside recommended ${leftRange.min}-${leftRange.max}bp`);
-      }
-    }
-    
-    if (primer.rightStart !== -1) {
-      const rightLength = primer.rightEnd - primer.rightStart;
-      const rightRange = PRIMER_LENGTH_RANGES[primer.rightType];
-      if (rightRange && (rightLength < rightRange.min || rightLength > rightRange.max)) {
-        warnings.push(`${primer.rightType} length ${rightLength}bp is outside recommended ${rightRange.min}-${rightRange.max}bp`);
-      }
-    }
-  } else {
-    // Regular primer: Check single length
-    if (primer.start !== -1) {
-      const length = primer.end - primer.start;
-      const range = PRIMER_LENGTH_RANGES[primer.name];
-      
-      if (range) {
-        if (length < range.min || length > range.max) {
-          warnings.push(`${primer.name} length ${length}bp is outside recommended ${range.min}-${range.max}bp`);
-        }
-      }
-    }
-  }
-  
-  return warnings;
-}
-
-// Validate primer length and show warning if out of range (for single primer)
+// Validate primer length and composition and show warning if anything is off (for single primer)
 function validatePrimerLength(primer) {
-  const warnings = getPrimerLengthWarnings(primer);
+  const warnings = getPrimerLengthWarnings(primer).concat(getCompositionWarnings(primer));
   
   // Display or clear warning
   if (warnings.length > 0) {
@@ -578,11 +1032,11 @@ function showLengthWarning(messages) {
   // Build warning content with close button and validation messages
   warning.innerHTML = `
     <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 8px;">
-      <strong style="font-size: 15px;">⚠️ Length Validation Warning</strong>
+      <strong style="font-size: 15px;">⚠️ Primer Validation Warning</strong>
       <button onclick="this.parentElement.parentElement.remove()" style="background: none; border: none; color: white; font-size: 20px; cursor: pointer; padding: 0; margin-left: 10px;">&times;</button>
     </div>
     <div style="font-size: 13px; line-height: 1.5;">
-      ${messages.map(m => `• ${m}`).join('<br>')}
+      ${messages.map(m => `• ${escapeHtml(m)}`).join('<br>')}
     </div>
   `;
   
@@ -599,8 +1053,435 @@ function clearLengthWarning() {
 }
 
 /* -----------------------
-   Cross-Dimer Table Display
-   Shows primer cross-dimerization analysis in a dedicated table
+   Primer Set Designer Results
+   Ranked sets from designPrimerSets (designer.js); "Load" puts a set
+   into the primer input and runs the normal analysis on it
+------------------------ */
+function renderDesignResults(sets) {
+  const container = document.getElementById("design-results");
+  if (!container) return;
+  window.designResults = sets;
+  
+  if (sets.length === 0) {
+    container.innerHTML = `<div class="design-set">No complete set passed the length, Tm, geometry, hairpin and dimer checks. Try a longer sequence or a different target region.</div>`;
+    return;
+  }
+  
+  container.innerHTML = sets.map((set, idx) => `
+    <div class="design-set">
+      <div class="design-set-header">
+        <span><strong>#${idx + 1}</strong> · score ${set.score.toFixed(1)} · amplicon ${set.amplicon.start + 1}-${set.amplicon.end}
+          · worst dimer ΔG ${formatDeltaG(set.worstDimerDG)}</span>
+        <button class="small-btn design-load-btn" data-set-idx="${idx}">Load</button>
+      </div>
+      <pre>${designSetText(set)}</pre>
+    </div>
+  `).join('');
+  
+  container.querySelectorAll(".design-load-btn").forEach(btn => {
+    btn.addEventListener("click", (e) => {
+      const set = window.designResults[parseInt(e.target.dataset.setIdx)];
+      document.getElementById("primer-input").value = designSetText(set);
+      runAnalysis();
+    });
+  });
+}
+
+/* -----------------------
+   Primer Set Comparison
+   One row per candidate set (see compare.js); counts of zero are
+   green, anything else red. "View" makes a set the active one
+------------------------ */
+function renderSetComparison(summaries, activeIndex) {
+  const section = document.getElementById("comparison-section");
+  const container = document.getElementById("set-comparison");
+  if (!section || !container) return;
+  
+  if (summaries.length < 2) {
+    section.style.display = "none";
+    container.innerHTML = "";
+    return;
+  }
+  section.style.display = "";
+  
+  const countCell = (count, detail) =>
+    `<td class="${count === 0 ? 'compare-ok' : 'compare-bad'}" title="${escapeHtml(detail.join('\n'))}">${count}</td>`;
+  
+  const rows = summaries.map((s, idx) => `
+    <tr class="${idx === activeIndex ? 'compare-active' : ''}">
+      <td><strong>${escapeHtml(s.name)}</strong></td>
+      <td class="${s.placed === s.total ? 'compare-ok' : 'compare-bad'}">${s.placed}/${s.total}</td>
+      ${countCell(s.hairpinCount, s.primers.filter(p => p.hasHairpin).map(p => p.name))}
+      ${countCell(s.dimerCount, s.dimers.filter(d => d.threePrimeExtendable).map(d => `${d.primer1}/${d.primer2} ΔG ${formatDeltaG(d.dG)}`))}
+      ${countCell(s.strongDimerCount, [])}
+      ${countCell(s.lengthWarnings.length, s.lengthWarnings)}
+      ${countCell(s.overlaps.length, s.overlaps)}
+      ${countCell(s.geometryFailures.length, s.geometryFailures.map(c => c.message))}
+      <td>${idx === activeIndex ? 'shown' : `<button class="small-btn compare-view-btn" data-set="${idx}">View</button>`}</td>
+    </tr>
+  `).join('');
+  
+  container.innerHTML = `
+    <table class="compare-table">
+      <thead>
+        <tr>
+          <th>Set</th><th>Placed</th><th>Hairpins</th><th>Extendable Dimers</th><th>Strong (≤ ${DIMER_DG_SEVERITY_THRESHOLDS.strong})</th>
+          <th>Length Warnings</th><th>Overlaps</th><th>Geometry Failures</th><th></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  
+  container.querySelectorAll(".compare-view-btn").forEach(btn => {
+    btn.addEventListener("click", () => {
+      window.activeSetIndex = parseInt(btn.dataset.set, 10);
+      // Site choices were made for the other set's primers
+      window.siteSelections = {};
+      runAnalysis();
+    });
+  });
+}
+
+// Keep the active set's row current after boundary edits
+function refreshActiveSetSummary() {
+  if (window.setComparison.length < 2) return;
+  const active = window.setComparison[window.activeSetIndex];
+  window.setComparison[window.activeSetIndex] = summarizePrimerSet(active.name, window.currentPrimers,
+    window.currentDimers, window.currentGene.length, window.analysisSettings.circular);
+  renderSetComparison(window.setComparison, window.activeSetIndex);
+  renderSetTracks(window.currentGene, window.setComparison, window.activeSetIndex);
+}
+
+/* -----------------------
+   Variant Inclusivity
+   One row per oligo, one column per variant (see inclusivity.js):
+   green is a perfect match, amber mismatches away from the priming
+   end, red a mismatch within THREE_PRIME_WINDOW of the priming end or
+   no site at all. Clicking a cell shows that variant in the sequence
+   viewer with the oligo and its mismatches
+------------------------ */
+function renderInclusivityMatrix(result) {
+  const section = document.getElementById("inclusivity-section");
+  const container = document.getElementById("inclusivity-matrix");
+  if (!section || !container) return;
+  
+  if (!result) {
+    section.style.display = "none";
+    container.innerHTML = "";
+    return;
+  }
+  section.style.display = "";
+  
+  const cellHtml = (target, cell, t, v) => {
+    if (!cell.found) {
+      return `<td class="incl-fail" title="No site within mismatch score ${INCLUSIVITY_MAX_MISMATCH_SCORE}">none</td>`;
+    }
+    const cls = cell.endMismatch ? "incl-fail" : cell.count > 0 ? "incl-warn" : "incl-ok";
+    const detail = `${cell.start + 1}-${wrapPosition(cell.end, result.variants[v].seq.length)} ${cell.orientation === "forward" ? "Fwd" : "RC"}` +
+      (cell.endMismatch ? `, mismatch at the ${target.primingEnd} end` : "");
+    return `<td class="incl-cell ${cls}" data-target="${t}" data-variant="${v}" title="${detail}">` +
+      `${cell.count}${cell.endMismatch ? ` <span class="incl-end">${target.primingEnd}</span>` : ""}</td>`;
+  };
+  
+  const rows = result.targets.map((target, t) => `
+    <tr>
+      <td><strong>${escapeHtml(target.label)}</strong></td>
+      ${result.cells[t].map((cell, v) => cellHtml(target, cell, t, v)).join("")}
+    </tr>
+  `).join("");
+  
+  const passing = result.variants.filter((variant, v) =>
+    result.cells.every(row => row[v].found && !row[v].endMismatch)).length;
+  
+  container.innerHTML = `
+    <p class="incl-summary">${passing}/${result.variants.length} variant${result.variants.length === 1 ? "" : "s"} bound by every oligo without priming-end mismatches. Cells count mismatches; click one to see its alignment.</p>
+    <div class="incl-scroll">
+      <table class="compare-table incl-table">
+        <thead>
+          <tr><th>Oligo</th>${result.variants.map(variant => `<th>${escapeHtml(variant.name)}</th>`).join("")}</tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+  
+  container.querySelectorAll(".incl-cell").forEach(td => {
+    td.addEventListener("click", () => {
+      showVariantAlignment(parseInt(td.dataset.target, 10), parseInt(td.dataset.variant, 10));
+    });
+  });
+}
+
+// Show a variant in the sequence viewer with one oligo placed on it
+function showVariantAlignment(targetIdx, variantIdx) {
+  const result = window.inclusivityResult;
+  const target = result.targets[targetIdx];
+  const variant = result.variants[variantIdx];
+  const cell = result.cells[targetIdx][variantIdx];
+  const panel = document.getElementById("variant-alignment");
+  if (!cell.found || !panel) return;
+  
+  // Stand-in primer at the variant site, so its mismatches are drawn
+  // like those of any primer
+  const placed = {
+    name: target.region, seq: target.seq, start: cell.start, end: cell.end,
+    orientation: cell.orientation, isInner: false, mismatchPositions: cell.mismatches,
+    hairpinScan: [], bindingSites: [], siteIndex: 0
+  };
+  displaySequence(variant.seq, [placed]);
+  
+  const site = templateSlice(variant.seq, cell.start, cell.end);
+  
+  panel.style.display = "";
+  panel.innerHTML = `
+    <div class="variant-alignment-head">
+      <span><strong>${escapeHtml(target.label)}</strong> on <strong>${escapeHtml(variant.name)}</strong> at
+        ${cell.start + 1}-${wrapPosition(cell.end, variant.seq.length)} (${cell.orientation}),
+        ${cell.count} mismatch${cell.count === 1 ? "" : "es"}${cell.endMismatch ? ` at the ${target.primingEnd} end` : ""}</span>
+      <button id="variant-back-btn" class="small-btn">Back to reference</button>
+    </div>
+    <pre class="variant-alignment-text">${escapeHtml(formatOligoAlignment(target.seq, site, cell.orientation, cell.mismatches, "Variant"))}</pre>
+  `;
+  document.getElementById("variant-back-btn").addEventListener("click", showReferenceSequence);
+}
+
+// Oligo over the bases of a site it binds (taken from the template
+// strand as stored), both read 5'→3' in the oligo's sense
+function formatOligoAlignment(oligo, site, orientation, mismatches, siteLabel) {
+  const bound = orientation === "forward" ? site : revcomp(site);
+  const matchLine = oligo.split("").map((base, k) => mismatches.includes(k) ? "x" : "|").join("");
+  const width = Math.max("Oligo".length, siteLabel.length) + 1;
+  return `${"Oligo".padEnd(width)}5′ ${oligo} 3′\n` +
+    `${"".padEnd(width + 3)}${matchLine}\n` +
+    `${siteLabel.padEnd(width)}5′ ${bound} 3′`;
+}
+
+function showReferenceSequence() {
+  const panel = document.getElementById("variant-alignment");
+  if (panel) {
+    panel.style.display = "none";
+    panel.innerHTML = "";
+  }
+  displaySequence(window.currentGene, window.currentPrimers, window.exonJunctions);
+}
+
+// Re-check the variant panel after the primers changed (new analysis
+// or boundary edit); the viewer is back on the reference by then
+function refreshInclusivity() {
+  const panel = document.getElementById("variant-alignment");
+  if (panel) panel.style.display = "none";
+  
+  if (window.inclusivityResult) {
+    window.inclusivityResult = checkInclusivity(window.inclusivityResult.variants,
+      window.currentPrimers, window.analysisSettings.circular);
+  }
+  renderInclusivityMatrix(window.inclusivityResult);
+}
+
+// Variant panel upload: the file text goes into the variant textarea
+function loadVariantFile(file) {
+  const reader = new FileReader();
+  
+  reader.onload = () => {
+    document.getElementById("variant-input").value = reader.result;
+    const records = parseSequenceInput(reader.result).records;
+    const status = document.getElementById("variant-status");
+    if (status) {
+      status.textContent = `Loaded ${file.name} (${records.length} sequence${records.length === 1 ? "" : "s"})`;
+    }
+  };
+  
+  reader.onerror = () => {
+    alert(`Could not read file ${file.name}`);
+  };
+  
+  reader.readAsText(file);
+}
+
+/* -----------------------
+   Off-Target Screening
+   Background FASTA files are read with FileReader and indexed in the
+   page (see exclusivity.js); nothing leaves the browser. The report
+   ranks oligos by their most dangerous hit
+------------------------ */
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read file ${file.name}`));
+    reader.readAsText(file);
+  });
+}
+
+async function loadBackgroundFiles(files) {
+  try {
+    for (const file of files) {
+      const records = parseSequenceInput(await readFileText(file)).records;
+      records.forEach((r, idx) => {
+        const seq = cleanSequence(r.seq);
+        if (seq) window.backgroundRecords.push({ name: r.name || `${file.name} #${idx + 1}`, source: file.name, seq: seq });
+      });
+    }
+    rebuildBackgroundIndex();
+  } catch (e) {
+    alert(e.message);
+  }
+}
+
+// Index the loaded records; a background over the size limit is dropped
+function rebuildBackgroundIndex() {
+  window.exclusivityResult = null;
+  renderExclusivityReport(null);
+  
+  try {
+    window.backgroundIndex = window.backgroundRecords.length ? buildBackgroundIndex(window.backgroundRecords) : null;
+  } catch (e) {
+    window.backgroundRecords = [];
+    window.backgroundIndex = null;
+    alert(e.message);
+  }
+  renderBackgroundList();
+}
+
+function clearBackground() {
+  window.backgroundRecords = [];
+  rebuildBackgroundIndex();
+}
+
+function renderBackgroundList() {
+  const list = document.getElementById("background-list");
+  if (!list) return;
+  
+  const records = window.backgroundRecords;
+  if (records.length === 0) {
+    list.textContent = "No background loaded.";
+    return;
+  }
+  
+  const files = {};
+  records.forEach(r => {
+    files[r.source] = files[r.source] || { count: 0, bases: 0 };
+    files[r.source].count++;
+    files[r.source].bases += r.seq.length;
+  });
+  list.innerHTML = Object.entries(files).map(([name, f]) =>
+    `<div>${escapeHtml(name)}: ${f.count} sequence${f.count === 1 ? "" : "s"}, ${f.bases.toLocaleString()} bp</div>`
+  ).join("");
+}
+
+function describeOffTargetHit(hit, index) {
+  const record = index.records[hit.record];
+  return `${escapeHtml(record.name)} ${hit.start + 1}-${hit.end} ${hit.orientation === "forward" ? "Fwd" : "RC"}, ` +
+    `${hit.count} mismatch${hit.count === 1 ? "" : "es"}${hit.extendable ? ", 3′ end intact" : ""}`;
+}
+
+function renderExclusivityReport(result) {
+  const section = document.getElementById("exclusivity-section");
+  const container = document.getElementById("exclusivity-report");
+  if (!section || !container) return;
+  
+  if (!result) {
+    section.style.display = "none";
+    container.innerHTML = "";
+    return;
+  }
+  section.style.display = "";
+  
+  const index = window.backgroundIndex;
+  const rows = result.entries.map((entry, rank) => {
+    const worst = entry.worst;
+    const hitList = entry.hits.map(hit => `
+      <div class="off-hit off-${hit.severity}">
+        <div>${describeOffTargetHit(hit, index)}</div>
+        <pre>${escapeHtml(formatOligoAlignment(entry.target.seq, index.records[hit.record].seq.substring(hit.start, hit.end), hit.orientation, hit.mismatches, "Hit"))}</pre>
+      </div>
+    `).join("");
+    const more = entry.totalHits > entry.hits.length ? `<div class="off-more">${entry.totalHits - entry.hits.length} more hit(s) not shown</div>` : "";
+    
+    return `
+      <tr>
+        <td>${rank + 1}</td>
+        <td><strong>${escapeHtml(entry.target.label)}</strong></td>
+        <td>${entry.totalHits}</td>
+        <td class="${entry.strongCount ? 'compare-bad' : 'compare-ok'}">${entry.strongCount}</td>
+        <td class="${entry.moderateCount ? 'compare-bad' : 'compare-ok'}">${entry.moderateCount}</td>
+        <td class="off-worst ${worst ? `off-${worst.severity}` : 'off-none'}">
+          ${worst ? `<details><summary>${worst.severity}: ${describeOffTargetHit(worst, index)}</summary>${hitList}${more}</details>` : "no hits"}
+        </td>
+      </tr>
+    `;
+  }).join("");
+  
+  container.innerHTML = `
+    <p class="incl-summary">${result.entries.length} oligo(s) searched on both strands of ${result.recordCount} background sequence(s), ${result.bases.toLocaleString()} bp, up to a weighted mismatch score of ${EXCLUSIVITY_MAX_MISMATCH_SCORE}. Most dangerous first.</p>
+    <table class="compare-table off-table">
+      <thead>
+        <tr><th>Rank</th><th>Oligo</th><th>Hits</th><th>Strong</th><th>Moderate</th><th>Worst Hit</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// Re-screen after the primers changed (new analysis or boundary edit)
+function refreshExclusivity() {
+  if (window.exclusivityResult && window.backgroundIndex) {
+    window.exclusivityResult = screenExclusivity(window.backgroundIndex, window.currentPrimers);
+  }
+  renderExclusivityReport(window.exclusivityResult);
+}
+
+/* -----------------------
+   LAMP Set Geometry Report
+   Order and distance checks from validateLampGeometry (geometry.js),
+   measured value next to the recommended range
+------------------------ */
+function renderGeometryReport(report) {
+  const container = document.getElementById("geometry-report");
+  if (!container) return;
+  
+  if (report.checks.length === 0) {
+    container.innerHTML = `<div class="geometry-empty">Place at least two LAMP regions (F3, F2, F1c, B1c, B2, B3, LF, LB) to check the set.</div>`;
+    return;
+  }
+  
+  const violations = report.checks.filter(c => !c.ok);
+  const summary = violations.length === 0
+    ? `<div class="geometry-summary geometry-ok">✓ Primer set geometry looks good (${report.checks.length} checks)</div>`
+    : `<div class="geometry-summary geometry-bad">⚠ ${violations.length} of ${report.checks.length} geometry checks failed</div>`;
+  
+  // Failed checks first, then passes
+  const rows = [...violations, ...report.checks.filter(c => c.ok)].map(c => `
+    <tr class="${c.ok ? 'geometry-pass' : 'geometry-fail'}">
+      <td>${c.ok ? '✓' : '✗'}</td>
+      <td>${c.label}</td>
+      <td>${c.type === 'distance' ? `${c.measured}bp` : c.measured}</td>
+      <td>${c.recommended}</td>
+    </tr>
+  `).join('');
+  
+  container.innerHTML = `
+    ${summary}
+    <table class="geometry-table">
+      <thead><tr><th></th><th>Check</th><th>Measured</th><th>Recommended</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// Re-run the geometry checks on the current primers
+function updateGeometryReport(primers) {
+  renderGeometryReport(validateLampGeometry(
+    primers,
+    window.currentGene ? window.currentGene.length : 0,
+    window.analysisSettings.circular
+  ));
+}
+
+/* -----------------------
+   Dimer Table Display
+   Shows primer self- and cross-dimerization analysis in a dedicated table
 ------------------------ */
 function populateDimerTable(dimers) {
   const tbody = document.querySelector("#dimer-table tbody");
@@ -618,98 +1499,74 @@ function populateDimerTable(dimers) {
     const emptyRow = document.createElement("tr");
     emptyRow.innerHTML = `
       <td colspan="2" style="text-align: center; color: green; font-weight: bold; padding: 20px;">
-        ✓ No cross-dimers detected
+        ✓ No self- or cross-dimers detected
       </td>
     `;
     tbody.appendChild(emptyRow);
     return;
   }
   
-  // Helper function to calculate GC content percentage
-  function calculateGCContent(sequence) {
-    const gcCount = (sequence.match(/[GC]/gi) || []).length;
-    return gcCount / sequence.length;
-  }
-  
-  // Sort dimers by severity (bp count descending), then by GC content (descending)
+  // Sort dimers by stability (lowest ΔG first); on ties, extendable 3' ends first
   const sortedDimers = [...dimers].sort((a, b) => {
-    // Primary sort: by match length (higher bp = more severe)
-    if (a.matchLength !== b.matchLength) {
-      return b.matchLength - a.matchLength;
+    if (a.dG !== b.dG) {
+      return a.dG - b.dG;
     }
-    
-    // Secondary sort: by GC content (higher GC = stronger binding)
-    const gcA = calculateGCContent(a.primer1_3prime);
-    const gcB = calculateGCContent(b.primer1_3prime);
-    return gcB - gcA;
+    return (b.threePrimeExtendable ? 1 : 0) - (a.threePrimeExtendable ? 1 : 0);
   });
   
   // Render each dimer
   sortedDimers.forEach(dimer => {
     const row = document.createElement("tr");
     
-    // Column 1: Primer pair name
-    const pairName = `${dimer.primer1} ↔ ${dimer.primer2}`;
+    // Column 1: Primer pair name (self-dimers pair a primer with its own copy)
+    const primer1 = escapeHtml(dimer.primer1);
+    const primer2 = escapeHtml(dimer.primer2);
+    const pairName = dimer.isSelf
+      ? `${primer1} ↔ ${primer1} <span style="background: #6c757d; color: #fff; padding: 2px 6px; border-radius: 4px; font-size: 10px; margin-left: 4px;">SELF</span>`
+      : `${primer1} ↔ ${primer2}`;
     
-    // Column 2: Binding details with highlighting
-    const matchLen = dimer.matchLength;
+    // Severity badge from ΔG (dimer thresholds are stricter than hairpins)
+    const severity = severityColors[classifyDeltaG(dimer.dG, DIMER_DG_SEVERITY_THRESHOLDS)];
+    const severityBadge = `
+      <span style="background: ${severity.bg}; color: ${severity.text}; border: 2px solid ${severity.border}; padding: 3px 8px; border-radius: 4px; display: inline-block; font-size: 11px; font-weight: bold; margin-left: 10px;" title="${severity.label}">
+        ΔG ${formatDeltaG(dimer.dG)} kcal/mol
+      </span>
+    `;
     
-    // Get severity color based on match length
-    let severityColor, severityBg, severityLabel;
-    if (matchLen === 3) {
-      severityColor = "#856404";
-      severityBg = "#fff3cd"; // Yellow
-      severityLabel = "3bp";
-    } else if (matchLen === 4) {
-      severityColor = "#721c24";
-      severityBg = "#f8d7da"; // Light red
-      severityLabel = "4bp";
+    // Extendable 3' ends can prime off the partner; internal pairing cannot
+    let extendBadge;
+    if (dimer.threePrimeExtendable) {
+      const extended = [];
+      if (dimer.extendable1) extended.push(primer1);
+      if (dimer.extendable2 && !dimer.isSelf) extended.push(primer2);
+      extendBadge = `<span class="dimer-badge dimer-extendable">3′ extendable: ${extended.join(", ")}</span>`;
     } else {
-      severityColor = "#fff";
-      severityBg = "#dc3545"; // Bright red
-      severityLabel = `${matchLen}bp`;
+      extendBadge = `<span class="dimer-badge dimer-internal">internal pairing</span>`;
     }
     
-    // Build visualization with highlighted bases
-    const primer1_3prime = dimer.primer1_3prime;
-    const primer1_3prime_rc = dimer.primer1_3prime_rc;
-    const bindingPos = dimer.bindingPos;
-    
-    // Get full sequences from global primers
-    const primers = window.currentPrimers || [];
-    const p1 = primers.find(p => p.name === dimer.primer1);
-    const p2 = primers.find(p => p.name === dimer.primer2);
-    
-    let primer1Full = p1 ? p1.seq : primer1_3prime;
-    let primer2Full = p2 ? p2.seq : primer1_3prime_rc;
-    
-    // Build primer1 sequence with highlighted 3' end
-    const p1HighlightStart = primer1Full.length - matchLen;
-    const p1Before = primer1Full.substring(0, p1HighlightStart);
-    const p1Highlight = primer1Full.substring(p1HighlightStart);
+    // Pairing summary (mismatches / wobbles / bulges)
+    const details = [`${dimer.matchLength} pairs`];
+    if (dimer.mismatches) details.push(`${dimer.mismatches} mismatch`);
+    if (dimer.wobbles) details.push(`${dimer.wobbles} G·T`);
+    if (dimer.bulges) details.push(`${dimer.bulges} bulge`);
     
-    // Build primer2 sequence with highlighted binding region
-    const p2Before = primer2Full.substring(0, bindingPos);
-    const p2Highlight = primer2Full.substring(bindingPos, bindingPos + matchLen);
-    const p2After = primer2Full.substring(bindingPos + matchLen);
-    
-    // Create binding visualization - single line with both primers
+    // Two-line base-pairing diagram with primer labels
+    const label1 = dimer.primer1;
+    const label2 = dimer.isSelf ? dimer.primer1 : dimer.primer2;
+    const labelWidth = Math.max(label1.length, label2.length) + 2;
+    const diagram = `${(label1 + ":").padEnd(labelWidth)}${dimer.diagram.top}
+${"".padEnd(labelWidth)}${dimer.diagram.mid}
+${(label2 + ":").padEnd(labelWidth)}${dimer.diagram.bottom}`;
     const bindingDetails = `
-      <div style="font-family: monospace; font-size: 12px;">
-        <strong style="color: #555;">${dimer.primer1}:</strong>
-        <span style="color: #666;">${p1Before}</span><span style="background: ${severityBg}; padding: 2px 4px; border-radius: 3px; font-weight: bold; border: 2px solid ${severityBg === '#fff3cd' ? '#ffc107' : (severityBg === '#f8d7da' ? '#f44336' : '#dc3545')}">${p1Highlight}</span>
-        <span style="margin: 0 15px; color: #999;">↔</span>
-        <strong style="color: #555;">${dimer.primer2}:</strong>
-        <span style="color: #666;">${p2Before}</span><span style="background: ${severityBg}; padding: 2px 4px; border-radius: 3px; font-weight: bold; border: 2px solid ${severityBg === '#fff3cd' ? '#ffc107' : (severityBg === '#f8d7da' ? '#f44336' : '#dc3545')}">${p2Highlight}</span><span style="color: #666;">${p2After}</span>
-      </div>
+      <pre class="dimer-diagram">${escapeHtml(diagram)}</pre>
+      <div style="font-size: 11px; color: #666;">${details.join(", ")}</div>
     `;
     
     row.innerHTML = `
       <td style="vertical-align: middle;">
         <span style="font-weight: bold;">${pairName}</span>
-        <span style="background: ${severityBg}; color: ${severityColor}; padding: 3px 8px; border-radius: 4px; display: inline-block; font-size: 11px; font-weight: bold; margin-left: 10px;">
-          ${severityLabel}
-        </span>
+        ${severityBadge}
+        <div style="margin-top: 6px;">${extendBadge}</div>
       </td>
       <td style="padding: 10px;">
         ${bindingDetails}
@@ -720,6 +1577,318 @@ function populateDimerTable(dimers) {
   });
 }
 
+/* -----------------------
+   Export Downloads
+   File contents come from export.js; the file name uses the
+   template record name when there is one
+------------------------ */
+// content: text, or a Blob that is saved as it is
+function downloadFile(filename, content, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function exportAnalysis(format) {
+  const primers = window.currentPrimers;
+  if (!window.currentGene || !primers || primers.length === 0) {
+    alert("Run an analysis before exporting.");
+    return;
+  }
+  
+  const base = (window.currentRecord && window.currentRecord.name ? window.currentRecord.name : "lamp-primers")
+    .replace(/[^\w.-]+/g, "_");
+  
+  if (format === "primers-csv") {
+    downloadFile(`${base}_primers.csv`, buildPrimerCsv(primers, window.currentGene.length), "text/csv");
+  } else if (format === "dimers-csv") {
+    downloadFile(`${base}_dimers.csv`, buildDimerCsv(window.currentDimers), "text/csv");
+  } else if (format === "json") {
+    const json = buildAnalysisJson({
+      gene: window.currentGene,
+      record: window.currentRecord,
+      settings: window.analysisSettings,
+      primers: primers,
+      dimers: window.currentDimers
+    });
+    downloadFile(`${base}_analysis.json`, json, "application/json");
+  } else if (format === "order") {
+    const layout = document.getElementById("order-layout").value;
+    const sheet = buildOrderSheet(primers, {
+      layout: layout,
+      scale: document.getElementById("order-scale").value,
+      purification: document.getElementById("order-purification").value,
+      namePrefix: document.getElementById("order-prefix").value.trim()
+    });
+    downloadFile(`${base}_order_${layout}.csv`, sheet, "text/csv");
+  }
+}
+
+/* -----------------------
+   Project Files and Autosave
+   Project contents come from project.js. The current state is
+   autosaved to localStorage after every analysis and boundary edit,
+   and restored when the page loads
+------------------------ */
+function collectProjectState() {
+  const select = document.getElementById("record-select");
+  const recordIndex = select ? parseInt(select.value, 10) : 0;
+  
+  // Analyzed primers carry any boundary edits; otherwise use the input box
+  const sets = parsePrimerSets(document.getElementById("primer-input").value);
+  const active = Math.min(window.activeSetIndex, sets.length - 1);
+  if (window.currentPrimers) sets[active].primers = window.currentPrimers;
+  
+  return {
+    geneInput: document.getElementById("gene-sequence").value,
+    recordIndex: isNaN(recordIndex) ? 0 : recordIndex,
+    primers: sets[active].primers,
+    primerSets: sets,
+    activeSet: active,
+    junctions: window.exonJunctions,
+    settings: window.analysisSettings,
+    siteSelections: window.siteSelections
+  };
+}
+
+function saveProjectFile() {
+  const project = buildProject(collectProjectState());
+  const name = window.currentRecord && window.currentRecord.name ? window.currentRecord.name : "lamp-primers";
+  downloadFile(`${name.replace(/[^\w.-]+/g, "_")}.lamp-project.json`, JSON.stringify(project, null, 2), "application/json");
+}
+
+function openProjectFile(file) {
+  const reader = new FileReader();
+  
+  reader.onload = () => {
+    try {
+      applyProject(parseProject(reader.result));
+      const status = document.getElementById("project-status");
+      if (status) status.textContent = `Opened ${file.name}`;
+    } catch (e) {
+      alert(`Could not open project ${file.name}: ${e.message}`);
+    }
+  };
+  
+  reader.onerror = () => {
+    alert(`Could not read file ${file.name}`);
+  };
+  
+  reader.readAsText(file);
+}
+
+// Put a project's state into the inputs and re-run the analysis
+function applyProject(project) {
+  const geneInput = document.getElementById("gene-sequence");
+  geneInput.value = project.geneInput;
+  geneInput.dispatchEvent(new Event("input")); // Update character count
+  
+  const records = parseSequenceInput(project.geneInput).records;
+  renderRecordSelector(records);
+  const select = document.getElementById("record-select");
+  if (select && records.length > 1 && project.recordIndex < records.length) {
+    select.value = String(project.recordIndex);
+  }
+  
+  document.getElementById("primer-input").value = projectPrimerText(project);
+  window.activeSetIndex = project.sets ? Math.min(project.activeSet, project.sets.length - 1) : 0;
+  
+  // Settings and their controls
+  Object.assign(window.analysisSettings, project.settings);
+  const settings = window.analysisSettings;
+  document.getElementById("hairpin-mode").value = settings.hairpinMode;
+  document.getElementById("dimer-mode").value = settings.dimerMode;
+  document.getElementById("max-mismatches").value = settings.maxMismatches;
+  document.getElementById("circular-mode").checked = settings.circular;
+  
+  window.exonJunctions = project.junctions.slice().sort((a, b) => a - b);
+  renderJunctionList();
+  window.siteSelections = project.siteSelections;
+  
+  // Nothing analyzed yet for this project: the record is "new"
+  window.currentRecord = null;
+  window.currentPrimers = null;
+  if (project.geneInput.trim()) runAnalysis();
+}
+
+function autosaveProject() {
+  try {
+    localStorage.setItem(PROJECT_AUTOSAVE_KEY, JSON.stringify(buildProject(collectProjectState())));
+  } catch (e) {
+    // Storage disabled (private browsing): autosave is best effort.
+    // A full storage quota (large gene) is shown: the work is not kept
+    console.warn(`Autosave failed: ${e.message}`);
+    if (isStorageQuotaError(e)) {
+      const status = document.getElementById("project-status");
+      if (status) status.textContent = "Autosave failed: browser storage is full. Use Save Project to keep this work";
+    }
+  }
+}
+
+// Chrome/Safari: QuotaExceededError; older Firefox: NS_ERROR_DOM_QUOTA_REACHED
+function isStorageQuotaError(e) {
+  return e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED");
+}
+
+function restoreAutosave() {
+  let text = null;
+  try {
+    text = localStorage.getItem(PROJECT_AUTOSAVE_KEY);
+  } catch (e) {
+    return;
+  }
+  if (!text) return;
+  
+  try {
+    applyProject(parseProject(text));
+    const status = document.getElementById("project-status");
+    if (status) status.textContent = "Restored autosaved project";
+  } catch (e) {
+    console.warn(`Discarding autosave: ${e.message}`);
+    localStorage.removeItem(PROJECT_AUTOSAVE_KEY);
+  }
+}
+
+/* -----------------------
+   Share Links
+   The link carries the analyzed record as FASTA (not the whole
+   uploaded file) plus primers, junctions and settings, packed into
+   the URL fragment by share.js
+------------------------ */
+async function shareLink() {
+  if (!window.currentGene || !window.currentPrimers) {
+    alert("Run an analysis before sharing.");
+    return;
+  }
+  
+  const state = collectProjectState();
+  const name = window.currentRecord && window.currentRecord.name ? window.currentRecord.name : "shared";
+  state.geneInput = `>${name}\n${window.currentGene}`;
+  state.recordIndex = 0;
+  
+  const share = await buildShareUrl(window.location.href, buildProject(state));
+  if (share.tooLong) {
+    alert(`This design is too large for a share link (${share.length.toLocaleString()} characters, limit ${SHARE_MAX_URL_LENGTH.toLocaleString()}). Use Save Project and send the file instead.`);
+    return;
+  }
+  
+  const linkInput = document.getElementById("share-link");
+  linkInput.value = share.url;
+  linkInput.style.display = "";
+  linkInput.select();
+  
+  const status = document.getElementById("project-status");
+  try {
+    await navigator.clipboard.writeText(share.url);
+    if (status) status.textContent = `Share link copied (${share.length.toLocaleString()} characters)`;
+  } catch (e) {
+    if (status) status.textContent = "Copy the share link below";
+  }
+}
+
+// Open the design in the URL fragment, if any; resolves to true when one was loaded
+async function restoreFromShareLink() {
+  let project;
+  try {
+    project = await decodeShareFragment(window.location.hash);
+  } catch (e) {
+    alert(`Could not open the shared design: ${e.message}`);
+    return false;
+  }
+  if (!project) return false;
+  
+  applyProject(project);
+  const status = document.getElementById("project-status");
+  if (status) status.textContent = "Opened shared design";
+  
+  // Drop the fragment so a reload shows the (autosaved) edits, not the original link
+  window.history.replaceState(null, "", window.location.pathname + window.location.search);
+  return true;
+}
+
+/* -----------------------
+   Sequence Figure Download
+   SVG from figure.js; PNG is the same SVG drawn onto a canvas at
+   FIGURE_PNG_SCALE for print resolution. Large figures get a lower
+   scale so the canvas stays within what every browser can allocate
+   (Safari: 4096 x 4096 pixels in total); below 1x the PNG would be
+   unreadable and the user is pointed to SVG or a smaller region
+------------------------ */
+const FIGURE_PNG_SCALE = 3;
+const FIGURE_CANVAS_MAX_SIDE = 16384;
+const FIGURE_CANVAS_MAX_AREA = 4096 * 4096;
+
+function figurePngScale(width, height) {
+  return Math.min(FIGURE_PNG_SCALE, FIGURE_CANVAS_MAX_SIDE / width, FIGURE_CANVAS_MAX_SIDE / height,
+    Math.sqrt(FIGURE_CANVAS_MAX_AREA / (width * height)));
+}
+
+function exportFigure(format) {
+  const gene = window.currentGene;
+  if (!gene || !window.currentPrimers) {
+    alert("Run an analysis before exporting a figure.");
+    return;
+  }
+  
+  // Region inputs are 1-based inclusive; empty means the whole template
+  const start = parseInt(document.getElementById("figure-start").value, 10) || 1;
+  const end = parseInt(document.getElementById("figure-end").value, 10) || gene.length;
+  if (start < 1 || end > gene.length || end < start) {
+    alert(`Figure region must lie within 1-${gene.length}.`);
+    return;
+  }
+  
+  const name = window.currentRecord && window.currentRecord.name ? window.currentRecord.name : "";
+  const svg = buildSequenceSvg(gene, window.currentPrimers, window.exonJunctions, {
+    start: start,
+    end: end,
+    lineWidth: parseInt(document.getElementById("figure-line-width").value, 10),
+    title: `${name ? `${name}: ` : ""}${start}-${end}`
+  });
+  const base = `${(name || "sequence").replace(/[^\w.-]+/g, "_")}_${start}-${end}`;
+  
+  if (format === "svg") {
+    downloadFile(`${base}.svg`, svg, "image/svg+xml");
+    return;
+  }
+  
+  // PNG: rasterize the SVG through an <img> and a canvas
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  const pngFailed = () => alert("The PNG could not be created. Export a smaller region, or download the SVG instead.");
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    const scale = figurePngScale(img.width, img.height);
+    if (scale < 1) {
+      pngFailed();
+      return;
+    }
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.floor(img.width * scale);
+    canvas.height = Math.floor(img.height * scale);
+    const ctx = canvas.getContext("2d");
+    if (!ctx) {
+      pngFailed();
+      return;
+    }
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0);
+    // toBlob passes null when the canvas could not be encoded
+    canvas.toBlob(blob => blob ? downloadFile(`${base}.png`, blob, "image/png") : pngFailed(), "image/png");
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    pngFailed();
+  };
+  img.src = url;
+}
+
 /* -----------------------
    Tooltip Setup (CSS is now in style.css)
 ------------------------ */
@@ -0,0 +1,145 @@
+/* ================================================================
+   VALIDATION.JS - Primer Length and Overlap Checks
+   Contains: recommended LAMP region lengths, length warnings, template
+             ranges of placed primers and overlaps between them
+   No DOM access (warning popups in ui.js)
+   ================================================================ */
+
+/* -----------------------
+   Primer Length Validation
+   
+   Validates primer lengths against LAMP recommended ranges:
+   - F3/B3: 18-22 bp
+   - F2/B2: 18-22 bp
+   - F1c/B1c: 18-25 bp
+   - LoopF/LoopB: 15-22 bp
+   - FIP/BIP total: 38-45 bp
+------------------------ */
+
+// Recommended length ranges for each primer type
+const PRIMER_LENGTH_RANGES = {
+  'F3': { min: 18, max: 22 },
+  'B3': { min: 18, max: 22 },
+  'F2': { min: 18, max: 22 },
+  'B2': { min: 18, max: 22 },
+  'F1c': { min: 18, max: 25 },
+  'B1c': { min: 18, max: 25 },
+  'LoopF': { min: 15, max: 22 },
+  'LF': { min: 15, max: 22 },
+  'LoopB': { min: 15, max: 22 },
+  'LB': { min: 15, max: 22 },
+  'FIP': { min: 38, max: 45 },  // Total length (F1c + F2)
+  'BIP': { min: 38, max: 45 }   // Total length (B1c + B2)
+};
+
+// Get primer length warnings without displaying (for batch validation)
+function getPrimerLengthWarnings(primer) {
+  let warnings = [];
+  
+  if (primer.isInner) {
+    // FIP/BIP: Check total length and individual components
+    const totalLength = primer.seq.length;
+    const range = PRIMER_LENGTH_RANGES[primer.name];
+    
+    if (range) {
+      if (totalLength < range.min || totalLength > range.max) {
+        warnings.push(`${primer.name} total length ${totalLength}bp is outside recommended ${range.min}-${range.max}bp`);
+      }
+    }
+    
+    // Check individual components (F1c/B1c and F2/B2)
+    if (primer.leftStart !== -1) {
+      const leftLength = primer.leftEnd - primer.leftStart;
+      const leftRange = PRIMER_LENGTH_RANGES[primer.leftType];
+      if (leftRange && (leftLength < leftRange.min || leftLength > leftRange.max)) {
+        warnings.push(`${primer.leftType} length ${leftLength}bp is outside recommended ${leftRange.min}-${leftRange.max}bp`);
+      }
+    }
+    
+    if (primer.rightStart !== -1) {
+      const rightLength = primer.rightEnd - primer.rightStart;
+      const rightRange = PRIMER_LENGTH_RANGES[primer.rightType];
+      if (rightRange && (rightLength < rightRange.min || rightLength > rightRange.max)) {
+        warnings.push(`${primer.rightType} length ${rightLength}bp is outside recommended ${rightRange.min}-${rightRange.max}bp`);
+      }
+    }
+  } else {
+    // Regular primer: Check single length
+    if (primer.start !== -1) {
+      const length = primer.end - primer.start;
+      const range = PRIMER_LENGTH_RANGES[primer.name];
+      
+      if (range) {
+        if (length < range.min || length > range.max) {
+          warnings.push(`${primer.name} length ${length}bp is outside recommended ${range.min}-${range.max}bp`);
+        }
+      }
+    }
+  }
+  
+  return warnings;
+}
+
+/* -----------------------
+   Overlap Detection
+   
+   Detects when primers overlap on the gene sequence:
+   - Checks all primer pairs for position overlaps
+   - Handles both regular primers and FIP/BIP components
+   - Circular templates also compare across the origin
+------------------------ */
+
+// Template ranges of a placed primer
+// (FIP/BIP primers have two ranges: left and right components)
+function primerRanges(p) {
+  const ranges = [];
+  if (p.isInner) {
+    // FIP/BIP: Add both components if they're bound to gene
+    if (p.leftStart !== undefined && p.leftStart !== -1) {
+      ranges.push({ start: p.leftStart, end: p.leftEnd, part: p.leftType });
+    }
+    if (p.rightStart !== undefined && p.rightStart !== -1) {
+      ranges.push({ start: p.rightStart, end: p.rightEnd, part: p.rightType });
+    }
+  } else if (p.start !== -1) {
+    // Regular primer: Single range
+    ranges.push({ start: p.start, end: p.end, part: null });
+  }
+  return ranges;
+}
+
+// "F3 overlaps with FIP (F2)" for every overlap of one primer with the
+// others; laterOnly compares only with primers after it (to list every
+// pair of a set once)
+function findPrimerOverlaps(primers, changedIdx, circularLength = 0, laterOnly = false) {
+  const changedPrimer = primers[changedIdx];
+  const changedRanges = primerRanges(changedPrimer);
+  const overlaps = [];
+  
+  // Compare changed primer against all other primers
+  primers.forEach((p, idx) => {
+    if (idx === changedIdx || (laterOnly && idx < changedIdx)) return;
+    
+    // Check all range combinations for overlap
+    // (e.g., F3 vs F1c, F3 vs F2, B3 vs B1c, etc.)
+    changedRanges.forEach(r1 => {
+      primerRanges(p).forEach(r2 => {
+        if (rangesOverlap(r1.start, r1.end, r2.start, r2.end, circularLength)) {
+          // Build descriptive overlap message
+          const changedName = r1.part ? `${changedPrimer.name} (${r1.part})` : changedPrimer.name;
+          const compName = r2.part ? `${p.name} (${r2.part})` : p.name;
+          overlaps.push(`${changedName} overlaps with ${compName}`);
+        }
+      });
+    });
+  });
+  
+  return overlaps;
+}
+
+function rangesOverlap(start1, end1, start2, end2, circularLength = 0) {
+  if (start1 < end2 && start2 < end1) return true;
+  if (!circularLength) return false;
+  return (start1 + circularLength < end2 && start2 < end1 + circularLength) ||
+    (start2 + circularLength < end1 && start1 < end2 + circularLength);
+}
@@ -0,0 +1,34 @@
+/* ================================================================
+   WORKER.JS - Analysis Web Worker
+   Contains: the message handler that runs analysis jobs (runLampJob,
+             pipeline.js) off the page's UI thread
+   Started by jobs.js; loads the same DOM-free scripts as index.html
+   (and node/index.js), so every environment runs identical code
+   ================================================================ */
+
+importScripts(
+  "debug.js", "thermo.js", "composition.js", "hairpin.js", "geometry.js", "validation.js",
+  "designer.js", "compare.js", "inclusivity.js", "exclusivity.js", "export.js",
+  "project.js", "history.js", "parsers.js", "pipeline.js"
+);
+
+/* -----------------------
+   Message Protocol (see jobs.js)
+   in:  { id, job, debug }
+   out: { type: "progress", id, progress: { stage, done, total } }
+        { type: "result", id, result }
+        { type: "error", id, message }
+   Jobs run one at a time; the page cancels a stale one by
+   terminating the worker
+------------------------ */
+self.onmessage = (e) => {
+  const { id, job, debug } = e.data;
+  setDebugLogging(debug);
+
+  try {
+    const result = runLampJob(job, progress => self.postMessage({ type: "progress", id, progress }));
+    self.postMessage({ type: "result", id, result });
+  } catch (err) {
+    self.postMessage({ type: "error", id, message: err.message });
+  }
+};